@@ -16,7 +16,23 @@
  *
  * ✅ P2:
  * - 正则 ReDoS 缓解：限制输入长度 + 拒绝高风险 regex 形态
- * - messages 表 TTL 清理（默认保留 30 天），异步概率触发
+ * - messages 表 TTL 清理（默认保留 30 天）
+ *
+ * ✅ P3:
+ * - Cron scheduled 定时任务：TTL 清理 / 过期话题锁释放 / 过期验证 nonce 回收（替代请求内概率触发）
+ * - 任务注册表 CRON_JOBS + cron_state 记录每个任务的上次运行
+ *
+ * ✅ 功能（按加入顺序，详见各节注释）:
+ * - 营业时间表：busy_mode=auto 按每周时段 / 时区 / 节假日自动切换，{next_open} 显示下次营业
+ * - msg_map 话题消息 ⇄ 私聊消息：管理员编辑同步到用户，/recall 撤回；双向保留回复引用
+ * - /search 会话检索（FTS5）；/export 导出单个用户会话（txt / json / html）
+ * - 📣 群发：分组 + 预览，Cron 分批发送（broadcasts 表）
+ * - 🌐 多语言（I18N zh/en/ru）与 📄 文案模板注册表，面板可逐条覆盖
+ * - 📚 验证题库、🧮 聊天内挑战、验证失败限次与冷却、验证码 Provider 注册表
+ * - 限时屏蔽 /ban（Cron 到期解封）；屏蔽词规则（动作 / 权重 / 衰减）；🧹 内容风控
+ * - 👮 协管角色（can() 统一校验）；📜 审计日志 /audit
+ * - 🏷 标签、👥 用户目录、📋 会话状态、🙋 会话分配、💬 快捷回复
+ * - ⏰ 待回复提醒（sla_responses）；📊 统计报表 /stats（stats_daily）
  *
  * ✅ 修复：
  * - 屏蔽用户不再“/start 自愈解封”；屏蔽后无法再发送消息触达管理员
@@ -24,6 +40,9 @@
  *
  * 需要新增环境变量：
  * - TELEGRAM_WEBHOOK_SECRET: Telegram setWebhook 的 secret_token（请求头 X-Telegram-Bot-Api-Secret-Token）
+ *
+ * 需要新增触发器：
+ * - Cron Trigger（建议 `* * * * *`），驱动 scheduled 定时任务
  */
 
 // --- 1. 静态配置与常量 ---
@@ -37,12 +56,6 @@ const CACHE = {
     ttl: 60000,
     primarySet: new Set(),
     authSet: new Set()
-  },
-  // 清理节流：避免每个请求都触发清理
-  cleanup: {
-    processed_updates_ts: 0,
-    ratelimits_ts: 0,
-    messages_ts: 0
   }
 };
 
@@ -53,12 +66,30 @@ const DEFAULTS = {
   // 验证
   enable_verify: "true",
   enable_qa_verify: "true",
-  captcha_mode: "turnstile", // turnstile 或 recaptcha
+  captcha_mode: "turnstile", // CAPTCHA_PROVIDERS 中的键，或 chat（聊天内挑战）
+  recaptcha_v3_min_score: "0.5",
+  dummy_verify_url: "", // dummy Provider 的校验地址，留空则本地判定
   verif_q: "1+1=?\n提示：答案在简介中。",
   verif_a: "2",
+  verify_max_attempts: "5", // 每轮验证最多失败次数，0=不限
+  verify_cooldown: "60", // 首次冷却秒数，之后每轮翻倍
+  verify_block_after: "0", // 冷却达到 N 轮后自动屏蔽，0=关闭
+  qa_bank: "[]", // [{ id, q, answers: [...], opts: { ci, width, ws } }]，为空时使用 verif_q / verif_a
 
   // 风控
-  block_threshold: "5",
+  block_threshold: "5", // 屏蔽词累计分达到此值自动屏蔽
+  kw_decay_hours: "24", // 屏蔽词累计分每 N 小时衰减 1 分，0=不衰减
+  // 内容风控：动作 off / flag（仅报告）/ drop（拦截）/ ban（屏蔽），窗口单位为秒
+  spam_repeat_action: "flag",
+  spam_repeat_max: "3", // 同一用户窗口内发送相同内容 N 次
+  spam_repeat_window: "600",
+  spam_cross_action: "flag",
+  spam_cross_max: "3", // 窗口内 N 个不同用户发送相同内容
+  spam_cross_window: "3600",
+  spam_link_action: "flag",
+  spam_link_max: "3", // 新用户窗口内发送含链接消息 N 条
+  spam_link_window: "600",
+  spam_new_hours: "24", // 首次联系后 N 小时内视为新用户
   enable_admin_receipt: "true", // 保留但不再使用（已按需求移除文字回执）
 
   // 转发开关
@@ -74,11 +105,27 @@ const DEFAULTS = {
   backup_group_id: "",
   unread_topic_id: "",
   blocked_topic_id: "",
-  busy_mode: "false",
+  spam_topic_id: "",
+  audit_mirror: "false", // 审计日志同步发送到“📜 审计日志”话题
+  audit_topic_id: "",
+  busy_mode: "false", // false=营业 / true=休息（手动） / auto=按营业时间表
   busy_msg: "当前是非营业时间，消息已收到，管理员稍后回复。",
-  block_keywords: "[]",
+  busy_schedule: "{}", // { "1": ["09:00-18:00"], ... }，0=周日
+  busy_holidays: "[]", // ["2026-10-01", ...]
+  timezone: "Asia/Shanghai",
+
+  // 多语言
+  default_lang: "zh", // 用户 language_code 不受支持时使用
+  i18n_overrides: "{}", // { "en": { "verified": "..." }, ... }
+  block_keywords: "[]", // [{ id, pattern, action, weight }]，旧版纯字符串视为 drop_warn / 权重 1
   keyword_responses: "[]",
-  authorized_admins: "[]"
+  canned_replies: "[]", // [{ id, key, text, media?: { type, file_id } }]，话题内 /r <key> 发送
+  authorized_admins: "[]",
+  admin_profiles: "{}", // { "<id>": { role, name, duty } }，未设置的协管默认为 moderator
+  sla_remind_minutes: "30", // 用户等待超过该分钟数未获回复时在“🔔 未读消息”提醒，0 = 关闭
+  sla_escalate_minutes: "120", // 超过该分钟数升级提醒（提及全部协管与主管理员），0 = 不升级
+  auto_assign: "false", // 新话题在值班协管间轮流分配
+  assign_rr_last: "" // 上次轮流分配到的协管 ID
 };
 
 // 已送达 reaction
@@ -87,6 +134,7 @@ const DELIVERED_REACTION = "👍";
 // 幂等/限流/锁参数
 const PROCESSED_UPDATES_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7d
 const RATELIMIT_CLEANUP_TTL_MS = 10 * 60 * 1000; // ratelimits 仅保留 10min
+const UI_STATE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 管理员翻页 / 筛选状态保留 7d
 
 // 私聊消息限流（跨实例）
 const RATELIMIT_USER_WINDOW_MS = 2000; // 2s
@@ -94,6 +142,10 @@ const RATELIMIT_USER_MAX = 6; // 每用户 2s 最多 6 条
 const RATELIMIT_GLOBAL_WINDOW_MS = 10000; // 10s
 const RATELIMIT_GLOBAL_MAX = 250; // 全局 10s 最多 250 条
 
+// 内容风控
+const CONTENT_HASH_TTL_MS = 24 * 60 * 60 * 1000; // content_hashes 仅保留 24h（各检测窗口上限）
+const SPAM_MIN_TEXT_LEN = 8; // 过短的内容（如“你好”）不参与重复检测
+
 // /submit_token 限流（防滥用）
 const SUBMIT_RL_WINDOW_MS = 60000; // 60s
 const SUBMIT_RL_IP_MAX = 30; // 每 IP 每分钟最多 30 次（含失败）
@@ -106,10 +158,26 @@ const TOPIC_LOCK_POLL_BASE_MS = 160; // 指数退避 base
 
 // 验证 nonce
 const VERIFY_NONCE_TTL_MS = 15 * 60 * 1000; // 15min
+const VERIFY_COOLDOWN_MAX_MS = 24 * 60 * 60 * 1000; // 冷却翻倍上限 24h
 
 // messages TTL
 const MESSAGES_TTL_DAYS = 30;
 
+// msg_map TTL（话题消息 ⇄ 私聊消息映射）
+const MSG_MAP_TTL_DAYS = 30;
+
+// 群发：每批发送量（单次调用子请求数受限）、发送间隔、批处理租约
+const BROADCAST_BATCH_SIZE = 40;
+const BROADCAST_SEND_INTERVAL_MS = 50;
+const BROADCAST_LEASE_MS = 5 * 60_000;
+
+// /search 分页
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_SNIPPET_LEN = 80;
+
+// Cron：允许的触发抖动（避免 everyMs 与触发间隔相同时被误判为未到期）
+const CRON_SLACK_MS = 5000;
+
 // Regex 安全策略（ReDoS 缓解）
 const REGEX_MAX_PATTERN_LEN = 256;
 const REGEX_MAX_TEXT_LEN = 512; // 仅对前 512 字符做 regex test，降低灾难性回溯伤害
@@ -122,6 +190,9 @@ const REGEX_REJECT_PATTERNS = [
   /\(\?<![\s\S]*\)/
 ];
 
+// 面板列表类型 → config 键
+const LIST_KEYS = { ar: "keyword_responses", kw: "block_keywords", auth: "authorized_admins", qa: "qa_bank", cr: "canned_replies" };
+
 // 消息类型定义
 const MSG_TYPES = [
   {
@@ -163,7 +234,7 @@ export default {
           const update = await req.json();
 
           // update 幂等去重（P1）
-          const ok = await markUpdateOnce(update, env, ctx);
+          const ok = await markUpdateOnce(update, env);
           if (!ok) return new Response("OK");
 
           ctx.waitUntil(handleUpdate(update, env, ctx));
@@ -178,6 +249,10 @@ export default {
     }
 
     return new Response("404 Not Found", { status: 404 });
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runCronJobs(env, event?.scheduledTime || Date.now()).catch(e => console.error("Cron Failed:", e)));
   }
 };
 
@@ -228,13 +303,24 @@ async function getCfg(k, env) {
 async function setCfg(k, v, env) {
   await sql(env, "INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)", [k, v]);
   CACHE.ts = 0;
+  if (k === "authorized_admins") CACHE.admin.ts = 0;
+}
+
+// 管理员翻页 / 筛选等临时状态：单独存 ui_state 表，写入不清空配置缓存，过期由 Cron 清理
+async function getUiState(env, k) {
+  const row = await sql(env, "SELECT value FROM ui_state WHERE key = ?", k, "first");
+  return row ? safeParse(row.value, null) : null;
+}
+
+async function setUiState(env, k, v) {
+  await sql(env, "INSERT OR REPLACE INTO ui_state (key, value, ts) VALUES (?, ?, ?)", [k, JSON.stringify(v), Date.now()]);
 }
 
 async function getUser(id, env) {
   let u = await sql(env, "SELECT * FROM users WHERE user_id = ?", id, "first");
   if (!u) {
     try {
-      await sql(env, "INSERT OR IGNORE INTO users (user_id, user_state, user_info_json) VALUES (?, 'new', ?)", [id, "{}"]);
+      await sql(env, "INSERT OR IGNORE INTO users (user_id, user_state, user_info_json, first_seen) VALUES (?, 'new', ?, ?)", [id, "{}", Date.now()]);
     } catch {}
     u = await sql(env, "SELECT * FROM users WHERE user_id = ?", id, "first");
   }
@@ -251,6 +337,8 @@ async function getUser(id, env) {
     };
   }
   u.is_blocked = !!u.is_blocked;
+  u.blocked_until = Number(u.blocked_until || 0);
+  u.first_seen = Number(u.first_seen || 0);
   u.user_info = safeParse(u.user_info_json, {});
   u.topic_creating = !!u.topic_creating;
   u.topic_create_ts = u.topic_create_ts || 0;
@@ -274,7 +362,22 @@ async function updUser(id, data, env) {
   if (!keys.length) return;
 
   const safeKeys = keys.filter(k =>
-    ["user_state", "is_blocked", "block_count", "topic_id", "user_info_json", "topic_creating", "topic_create_ts"].includes(k)
+    [
+      "user_state",
+      "is_blocked",
+      "block_count",
+      "topic_id",
+      "user_info_json",
+      "topic_creating",
+      "topic_create_ts",
+      "last_seen",
+      "blocked_until",
+      "block_reason",
+      "ticket_status",
+      "assignee",
+      "wait_since",
+      "sla_level"
+    ].includes(k)
   );
   if (!safeKeys.length) return;
 
@@ -300,7 +403,15 @@ async function dbInit(env) {
       topic_id TEXT,
       user_info_json TEXT DEFAULT '{}',
       topic_creating INTEGER DEFAULT 0,
-      topic_create_ts INTEGER DEFAULT 0
+      topic_create_ts INTEGER DEFAULT 0,
+      last_seen INTEGER DEFAULT 0,
+      blocked_until INTEGER DEFAULT 0,
+      block_reason TEXT DEFAULT '',
+      first_seen INTEGER DEFAULT 0,
+      ticket_status TEXT DEFAULT 'open',
+      assignee TEXT DEFAULT '',
+      wait_since INTEGER DEFAULT 0,
+      sla_level INTEGER DEFAULT 0
     )`),
     env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS messages (
       user_id TEXT,
@@ -322,10 +433,95 @@ async function dbInit(env) {
       ts INTEGER,
       count INTEGER
     )`),
-    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_ratelimits_ts ON ratelimits(ts)`)
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_ratelimits_ts ON ratelimits(ts)`),
+
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS msg_map (
+      admin_msg_id INTEGER PRIMARY KEY,
+      user_id TEXT,
+      user_msg_id INTEGER,
+      direction TEXT,
+      ts INTEGER
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_msg_map_user ON msg_map(user_id, user_msg_id)`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_msg_map_ts ON msg_map(ts)`),
+
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS broadcasts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT DEFAULT 'running',
+      src_chat_id TEXT,
+      src_msg_id INTEGER,
+      buttons_json TEXT DEFAULT '[]',
+      segment TEXT,
+      seg_days INTEGER DEFAULT 0,
+      cursor TEXT DEFAULT '',
+      total INTEGER DEFAULT 0,
+      sent INTEGER DEFAULT 0,
+      failed INTEGER DEFAULT 0,
+      blocked INTEGER DEFAULT 0,
+      created_by TEXT,
+      card_chat_id TEXT,
+      card_msg_id INTEGER,
+      lease_until INTEGER DEFAULT 0,
+      created_at INTEGER,
+      updated_at INTEGER
+    )`),
+
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS content_hashes (
+      hash TEXT,
+      user_id TEXT,
+      first_ts INTEGER,
+      ts INTEGER,
+      count INTEGER DEFAULT 1,
+      PRIMARY KEY (hash, user_id)
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_content_hashes_ts ON content_hashes(ts)`),
+
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ts INTEGER,
+      actor_id TEXT,
+      action TEXT,
+      target TEXT,
+      before_val TEXT,
+      after_val TEXT
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log(ts)`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor_id, ts)`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log(target, ts)`),
+
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS sla_responses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      admin_id TEXT,
+      wait_since INTEGER,
+      replied_at INTEGER,
+      response_ms INTEGER
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_sla_replied ON sla_responses(replied_at)`),
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS stats_daily (
+      day TEXT,
+      metric TEXT,
+      count INTEGER DEFAULT 0,
+      PRIMARY KEY (day, metric)
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS cron_state (
+      name TEXT PRIMARY KEY,
+      last_run INTEGER DEFAULT 0,
+      last_ok INTEGER DEFAULT 0,
+      last_error TEXT,
+      run_count INTEGER DEFAULT 0
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE TABLE IF NOT EXISTS ui_state (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      ts INTEGER
+    )`),
+    env.TG_BOT_DB.prepare(`CREATE INDEX IF NOT EXISTS idx_ui_state_ts ON ui_state(ts)`)
   ]);
 
   await ensureUserColumns(env);
+  await ensureMessageColumns(env);
+  await ensureSearchIndex(env);
 }
 
 async function ensureUserColumns(env) {
@@ -335,6 +531,30 @@ async function ensureUserColumns(env) {
   const alters = [];
   if (!cols.has("topic_creating")) alters.push(`ALTER TABLE users ADD COLUMN topic_creating INTEGER DEFAULT 0`);
   if (!cols.has("topic_create_ts")) alters.push(`ALTER TABLE users ADD COLUMN topic_create_ts INTEGER DEFAULT 0`);
+  if (!cols.has("last_seen")) alters.push(`ALTER TABLE users ADD COLUMN last_seen INTEGER DEFAULT 0`);
+  if (!cols.has("blocked_until")) alters.push(`ALTER TABLE users ADD COLUMN blocked_until INTEGER DEFAULT 0`);
+  if (!cols.has("block_reason")) alters.push(`ALTER TABLE users ADD COLUMN block_reason TEXT DEFAULT ''`);
+  // 老用户保持 0（不视为新用户）
+  if (!cols.has("first_seen")) alters.push(`ALTER TABLE users ADD COLUMN first_seen INTEGER DEFAULT 0`);
+  if (!cols.has("ticket_status")) alters.push(`ALTER TABLE users ADD COLUMN ticket_status TEXT DEFAULT 'open'`);
+  if (!cols.has("assignee")) alters.push(`ALTER TABLE users ADD COLUMN assignee TEXT DEFAULT ''`);
+  if (!cols.has("wait_since")) alters.push(`ALTER TABLE users ADD COLUMN wait_since INTEGER DEFAULT 0`);
+  if (!cols.has("sla_level")) alters.push(`ALTER TABLE users ADD COLUMN sla_level INTEGER DEFAULT 0`);
+
+  for (const q of alters) {
+    try {
+      await sql(env, q);
+    } catch {}
+  }
+}
+
+async function ensureMessageColumns(env) {
+  const info = await sql(env, "PRAGMA table_info(messages)", [], "all");
+  const cols = new Set((info?.results || []).map(r => r.name));
+
+  const alters = [];
+  if (!cols.has("direction")) alters.push(`ALTER TABLE messages ADD COLUMN direction TEXT DEFAULT 'in'`);
+  if (!cols.has("sender_id")) alters.push(`ALTER TABLE messages ADD COLUMN sender_id TEXT`);
 
   for (const q of alters) {
     try {
@@ -343,8 +563,36 @@ async function ensureUserColumns(env) {
   }
 }
 
+// messages 全文索引（external content FTS5 + 触发器同步）；FTS5 不可用时 /search 回退 LIKE
+async function ensureSearchIndex(env) {
+  const exists = await sql(env, "SELECT name FROM sqlite_master WHERE type='table' AND name='messages_fts'", [], "first");
+  if (exists) return;
+
+  try {
+    await env.TG_BOT_DB.batch([
+      env.TG_BOT_DB.prepare(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(text, content='messages', content_rowid='rowid', tokenize='trigram')`
+      ),
+      env.TG_BOT_DB.prepare(`CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts(rowid, text) VALUES (new.rowid, new.text);
+      END`),
+      env.TG_BOT_DB.prepare(`CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+      END`),
+      env.TG_BOT_DB.prepare(`CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+        INSERT INTO messages_fts(rowid, text) VALUES (new.rowid, new.text);
+      END`),
+      env.TG_BOT_DB.prepare(`INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')`)
+    ]);
+  } catch (e) {
+    console.error("FTS Init Failed:", e);
+  }
+}
+
 // --- 4. Telegram API（带重试退避） ---
-async function api(token, method, body) {
+// failFast=true 时 4xx（被拉黑 / 参数错误等）直接抛出不重试，供群发等批量发送使用
+async function api(token, method, body, { failFast = false } = {}) {
   const maxRetries = 3;
   const baseBackoff = [200, 500, 1200];
   const totalWaitCapMs = 10000;
@@ -376,12 +624,14 @@ async function api(token, method, body) {
 
         const desc = d?.description || `TG API Error (${errCode})`;
         if (method !== "setMessageReaction") console.warn(`TG API Error [${method}]:`, desc);
-        throw new Error(desc);
+        const err = new Error(desc);
+        err.noRetry = failFast && errCode !== 429;
+        throw err;
       }
 
       return d.result;
     } catch (e) {
-      if (attempt < maxRetries) {
+      if (attempt < maxRetries && !e?.noRetry) {
         const delayMs = baseBackoff[attempt] || 1200;
         if (waited + delayMs > totalWaitCapMs) break;
         waited += delayMs;
@@ -396,7 +646,26 @@ async function api(token, method, body) {
   throw new Error(`TG API Retry Exhausted: ${method}`);
 }
 
-// --- 5. Webhook 校验 / 幂等 / 限流 / 清理 ---
+// multipart 上传（sendDocument 等需要发送文件内容的接口）
+async function apiUpload(token, method, fields, file) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined || v === null) continue;
+    form.append(k, typeof v === "object" ? JSON.stringify(v) : v.toString());
+  }
+  form.append(file.field, new Blob([file.content], { type: file.type }), file.name);
+
+  const r = await fetch(`https://api.telegram.org/bot${token}/${method}`, { method: "POST", body: form });
+  const d = await r.json().catch(() => null);
+  if (!d || !d.ok) {
+    const desc = d?.description || `TG API Error (${d?.error_code || r.status})`;
+    console.warn(`TG API Error [${method}]:`, desc);
+    throw new Error(desc);
+  }
+  return d.result;
+}
+
+// --- 5. Webhook 校验 / 幂等 / 限流 ---
 function isTelegramWebhook(req, env) {
   const secret = (env.TELEGRAM_WEBHOOK_SECRET || "").toString();
   if (!secret) return false;
@@ -404,26 +673,7 @@ function isTelegramWebhook(req, env) {
   return timingSafeEqualStr(hdr, secret);
 }
 
-function safeWaitUntil(ctx, p) {
-  try {
-    if (ctx && typeof ctx.waitUntil === "function") ctx.waitUntil(p);
-    else p.catch(() => {});
-  } catch {
-    try {
-      p.catch(() => {});
-    } catch {}
-  }
-}
-
-function maybeCleanup(ctx, key, fn, minIntervalMs) {
-  const now = Date.now();
-  const last = CACHE.cleanup[key] || 0;
-  if (now - last < minIntervalMs) return;
-  CACHE.cleanup[key] = now;
-  safeWaitUntil(ctx, fn());
-}
-
-async function markUpdateOnce(update, env, ctx) {
+async function markUpdateOnce(update, env) {
   try {
     const uid = (update && (update.update_id ?? update.updateId))?.toString();
     if (!uid) return true;
@@ -431,16 +681,7 @@ async function markUpdateOnce(update, env, ctx) {
     const now = Date.now();
     const res = await tryRun(env, "INSERT OR IGNORE INTO processed_updates (update_id, ts) VALUES (?,?)", [uid, now]);
     const changes = res?.meta?.changes ?? res?.changes ?? 0;
-    if (!changes) return false;
-
-    if ((now % 97) === 7) {
-      maybeCleanup(ctx, "processed_updates_ts", async () => {
-        const cutoff = now - PROCESSED_UPDATES_TTL_MS;
-        await sql(env, "DELETE FROM processed_updates WHERE ts < ?", cutoff);
-      }, 60_000);
-    }
-
-    return true;
+    return !!changes;
   } catch {
     return true;
   }
@@ -457,7 +698,7 @@ async function bumpRateKey(env, key, now) {
   return c;
 }
 
-async function checkRateLimit(userId, env, ctx) {
+async function checkRateLimit(userId, env) {
   const now = Date.now();
   const uid = userId?.toString() || "";
   if (!uid) return { allowed: true, retryAfterMs: 0 };
@@ -470,20 +711,13 @@ async function checkRateLimit(userId, env, ctx) {
 
   const [uc, gc] = await Promise.all([bumpRateKey(env, userKey, now), bumpRateKey(env, globalKey, now)]);
 
-  if ((now % 101) === 13) {
-    maybeCleanup(ctx, "ratelimits_ts", async () => {
-      const cutoff = now - RATELIMIT_CLEANUP_TTL_MS;
-      await sql(env, "DELETE FROM ratelimits WHERE ts < ?", cutoff);
-    }, 60_000);
-  }
-
   if (gc > RATELIMIT_GLOBAL_MAX) return { allowed: false, retryAfterMs: RATELIMIT_GLOBAL_WINDOW_MS };
   if (uc > RATELIMIT_USER_MAX) return { allowed: false, retryAfterMs: RATELIMIT_USER_WINDOW_MS };
 
   return { allowed: true, retryAfterMs: 0 };
 }
 
-async function checkSubmitRateLimit(req, env, ctx, uidMaybe) {
+async function checkSubmitRateLimit(req, env, uidMaybe) {
   const now = Date.now();
   const ip = (req.headers.get("CF-Connecting-IP") || req.headers.get("X-Forwarded-For") || "").split(",")[0].trim() || "0.0.0.0";
   const bucket = Math.floor(now / SUBMIT_RL_WINDOW_MS);
@@ -498,31 +732,19 @@ async function checkSubmitRateLimit(req, env, ctx, uidMaybe) {
     if (uCount > SUBMIT_RL_UID_MAX) return { allowed: false, reason: "uid" };
   }
 
-  if ((now % 103) === 19) {
-    maybeCleanup(ctx, "ratelimits_ts", async () => {
-      const cutoff = now - RATELIMIT_CLEANUP_TTL_MS;
-      await sql(env, "DELETE FROM ratelimits WHERE ts < ?", cutoff);
-    }, 60_000);
-  }
-
   return { allowed: true };
 }
 
-function maybeCleanupMessages(env, ctx) {
-  const now = Date.now();
-  if ((now % 131) !== 11) return;
-  maybeCleanup(ctx, "messages_ts", async () => {
-    const cutoffSec = Math.floor(now / 1000) - MESSAGES_TTL_DAYS * 86400;
-    await sql(env, "DELETE FROM messages WHERE date < ?", cutoffSec);
-  }, 10 * 60_000);
-}
-
 // --- 6. 主 update 分发 ---
 async function handleUpdate(update, env, ctx) {
   const msg = update.message || update.edited_message;
   if (!msg) return update.callback_query ? handleCallback(update.callback_query, env) : null;
 
-  if (update.edited_message && msg.chat.type === "private") return handleEdit(msg, env);
+  if (update.edited_message) {
+    if (msg.chat.type === "private") return handleEdit(msg, env);
+    if (msg.chat.id.toString() === env.ADMIN_GROUP_ID) return handleAdminEdit(msg, env);
+    return;
+  }
   if (msg.chat.type === "private") await handlePrivate(msg, env, ctx);
   else if (msg.chat.id.toString() === env.ADMIN_GROUP_ID) await handleAdminReply(msg, env);
 }
@@ -574,36 +796,43 @@ async function handlePrivate(msg, env, ctx) {
   // ✅ 修复：屏蔽必须生效（不再 /start 自愈解封）
   // 先取用户，保证 block 生效是 DB 真实状态
   const u0 = await getUser(id, env);
+  if (!(await isAuthAdmin(id, env))) await markFirstContact(env, u0);
+  await syncUserProfile(u0, msg.from, env);
+  const t = await userTr(env, u0, msg.from);
+
+  // 限时屏蔽已到期（Cron 尚未处理）：即时解封
+  if (u0.is_blocked && u0.blocked_until && u0.blocked_until <= Date.now()) {
+    Object.assign(u0, await setUserBlock(env, id, { blocked: false, notify: true, tgUser: msg.from }));
+  }
+
   if (u0.is_blocked && !(await isAuthAdmin(id, env))) {
     // 降噪：10 秒内只提示一次
     const bk = `blocked_notice:${id}`;
     if (!CACHE.locks.has(bk)) {
       CACHE.locks.add(bk);
       setTimeout(() => CACHE.locks.delete(bk), 10000);
-      api(env.BOT_TOKEN, "sendMessage", {
-        chat_id: id,
-        text: "🚫 您已被管理员屏蔽，无法发送消息。如有误判请联系管理员解除。"
-      }).catch(() => {});
+      const notice = u0.blocked_until ? await t("blocked_until", { until: await t.time(u0.blocked_until) }) : await t("blocked");
+      api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: notice, parse_mode: "HTML" }).catch(() => {});
     }
     return;
   }
 
   // 限流（非管理员）
   if (!(await isAuthAdmin(id, env))) {
-    const rl = await checkRateLimit(id, env, ctx);
+    const rl = await checkRateLimit(id, env);
     if (!rl.allowed) {
       const warnKey = `rlwarn:${id}`;
       if (!CACHE.locks.has(warnKey)) {
         CACHE.locks.add(warnKey);
         setTimeout(() => CACHE.locks.delete(warnKey), 10000);
-        api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "⏳ 请求过于频繁，请稍后再试。" }).catch(() => {});
+        api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("rate_limited"), parse_mode: "HTML" }).catch(() => {});
       }
       return;
     }
   }
 
   // ✅ 新增：Primary Admin 私聊命令 /reset <id>
-  if (text.startsWith("/reset") && (await isPrimaryAdmin(id, env))) {
+  if (text.startsWith("/reset") && (await can(id, "reset", env))) {
     const parts = text.trim().split(/\s+/);
     const target = (parts[1] || "").trim();
     if (!target || !/^\d+$/.test(target)) {
@@ -612,18 +841,13 @@ async function handlePrivate(msg, env, ctx) {
         text: "用法：/reset <user_id>\n示例：/reset 123456789"
       });
     }
-    await forceResetUserVerify(target, env);
-    // 通知目标用户（失败静默）
-    api(env.BOT_TOKEN, "sendMessage", {
-      chat_id: target,
-      text: "⚠️ 管理员要求您重新验证。\n请发送 /start 重新完成验证流程。"
-    }).catch(() => {});
+    await resetUserVerify(env, target, id);
     return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `✅ 已重置用户 ${target} 的验证状态。` });
   }
 
   // 管理员命令优先
   if (isStart) {
-    if (await isPrimaryAdmin(id, env)) {
+    if (await can(id, "config", env)) {
       if (ctx) ctx.waitUntil(registerCommands(env));
       return handleAdminConfig(id, null, "menu", null, null, env);
     }
@@ -632,11 +856,25 @@ async function handlePrivate(msg, env, ctx) {
   if (text === "/help" && (await isAuthAdmin(id, env))) {
     return api(env.BOT_TOKEN, "sendMessage", {
       chat_id: id,
-      text: "ℹ️ <b>帮助</b>\n• 回复消息即对话\n• /start 打开面板\n• /reset <id> 重置用户验证(仅主管理员)",
+      text:
+        "ℹ️ <b>帮助</b>\n• 回复消息即对话\n• 话题内编辑已发送的回复会同步给用户\n• 话题内回复某条已发送消息并发送 /recall 撤回\n• /start 打开面板\n• /reset &lt;id&gt; 重置用户验证(仅主管理员)" +
+        "\n• /search &lt;关键词&gt; [#标签] [@用户名|id] [7d|2026-01-01] 搜索会话记录" +
+        "\n• 话题内发送 #标签 添加、-#标签 删除用户标签" +
+        "\n• /ban &lt;id&gt; &lt;30m|2h|7d|perm&gt; [原因] 限时屏蔽，/unban &lt;id&gt; 解封（话题内可省略 id）" +
+        "\n• /close [id] 标记会话已解决并关闭话题，/reopen [id] 重新打开（话题内可省略 id）" +
+        "\n• 话题内发送 /r &lt;快捷词&gt; 发送快捷回复（面板「💬 快捷回复」中维护）" +
+        "\n• 资料卡 / 未读卡片点击 🙋 认领会话，/mine 查看我负责的未解决会话" +
+        "\n• /audit [用户id|管理员id] [天数] 查看操作审计日志" +
+        "\n• /stats [today|7d|30d] 查看流量、验证与响应统计" +
+        "\n• /export &lt;id&gt; [txt|json|html] 导出会话(仅主管理员)",
       parse_mode: "HTML"
     });
   }
 
+  if (await isAuthAdmin(id, env)) {
+    if (await handleAdminCommand(msg, env)) return;
+  }
+
   // 继续使用 u0，避免重复读
   const u = u0;
 
@@ -646,7 +884,7 @@ async function handlePrivate(msg, env, ctx) {
   }
 
   // 管理员状态机输入
-  if (await isPrimaryAdmin(id, env)) {
+  if (await can(id, "config", env)) {
     const stateStr = await getCfg(`admin_state:${id}`, env);
     if (stateStr) {
       const state = safeParse(stateStr);
@@ -659,25 +897,18 @@ async function handlePrivate(msg, env, ctx) {
   const qaOn = await getBool("enable_qa_verify", env);
 
   if (u.user_state !== "verified" && (verifyOn || qaOn)) {
-    if (u.user_state === "pending_verification" && text) return verifyAnswer(id, text, env);
+    if (await notifyVerifyCooldown(env, u, t)) return;
+    if (u.user_state === "pending_verification" && text) return verifyAnswer(u, text, env, t, msg.from);
     return sendStart(id, msg, env);
   }
 
   // 已验证：/start 不再触发验证；也不创建话题（方案 S）
   if (isStart) {
-    if (u.topic_id) {
-      await api(env.BOT_TOKEN, "sendMessage", {
-        chat_id: id,
-        text: "✅ <b>会话已连接</b>\n您可以直接发送消息，管理员会收到。",
-        parse_mode: "HTML"
-      });
-    } else {
-      await api(env.BOT_TOKEN, "sendMessage", {
-        chat_id: id,
-        text: "✅ 已验证。\n请直接发送消息以联系管理员。",
-        parse_mode: "HTML"
-      });
-    }
+    await api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: id,
+      text: await t(u.topic_id ? "session_connected" : "verified"),
+      parse_mode: "HTML"
+    });
     return;
   }
 
@@ -695,32 +926,30 @@ async function forceResetUserVerify(userId, env) {
   }, env);
 }
 
+// 重置 + 审计 + 通知用户（/reset 与用户目录共用，通知失败静默）
+async function resetUserVerify(env, uid, actor) {
+  await forceResetUserVerify(uid, env);
+  await audit(env, actor, "reset_verify", uid);
+  const tt = await userTr(env, await getUser(uid, env));
+  api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await tt("reset_verify"), parse_mode: "HTML" }).catch(() => {});
+}
+
 // --- 9. Start 流程（确保验证弹出 + nonce） ---
 async function sendStart(id, msg, env) {
   const u = await getUser(id, env);
+  const t = await userTr(env, u, msg.from);
 
   // 若用户被屏蔽（保险校验）
   if (u.is_blocked && !(await isAuthAdmin(id, env))) {
-    return api(env.BOT_TOKEN, "sendMessage", {
-      chat_id: id,
-      text: "🚫 您已被管理员屏蔽，无法使用本 Bot。"
-    }).catch(() => {});
+    return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("blocked_start"), parse_mode: "HTML" }).catch(() => {});
   }
 
   if (u.user_state === "verified") {
-    if (u.topic_id) {
-      await api(env.BOT_TOKEN, "sendMessage", {
-        chat_id: id,
-        text: "✅ <b>会话已连接</b>\n您可以直接发送消息，管理员会收到。",
-        parse_mode: "HTML"
-      });
-    } else {
-      await api(env.BOT_TOKEN, "sendMessage", {
-        chat_id: id,
-        text: "✅ 已验证。\n请直接发送消息以联系管理员。",
-        parse_mode: "HTML"
-      });
-    }
+    await api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: id,
+      text: await t(u.topic_id ? "session_connected" : "verified"),
+      parse_mode: "HTML"
+    });
     return;
   }
 
@@ -755,8 +984,11 @@ async function sendStart(id, msg, env) {
   const url = (env.WORKER_URL || "").replace(/\/$/, "");
   const vOn = await getBool("enable_verify", env);
   const qaOn = await getBool("enable_qa_verify", env);
+  const mode = await getCfg("captcha_mode", env);
 
-  if (vOn && url) {
+  if (vOn && mode === "chat") {
+    await sendChallenge(env, id, t);
+  } else if (vOn && url) {
     const nonce = genNonce(24);
     const now = Date.now();
     await updUser(
@@ -770,13 +1002,13 @@ async function sendStart(id, msg, env) {
 
     await api(env.BOT_TOKEN, "sendMessage", {
       chat_id: id,
-      text: "🛡️ <b>安全验证</b>\n请点击下方按钮完成人机验证以继续。",
+      text: await t("verify_prompt"),
       parse_mode: "HTML",
       reply_markup: {
         inline_keyboard: [
           [
             {
-              text: "点击进行验证",
+              text: await t("verify_button"),
               web_app: { url: `${url}/verify?user_id=${encodeURIComponent(id)}&nonce=${encodeURIComponent(nonce)}` }
             }
           ]
@@ -784,15 +1016,10 @@ async function sendStart(id, msg, env) {
       }
     });
   } else if (qaOn) {
-    await updUser(id, { user_state: "pending_verification" }, env);
-    await api(env.BOT_TOKEN, "sendMessage", {
-      chat_id: id,
-      text: "❓ <b>安全提问</b>\n" + (await getCfg("verif_q", env)),
-      parse_mode: "HTML"
-    });
+    await askQuestion(env, id, t);
   } else {
     await updUser(id, { user_state: "verified" }, env);
-    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "✅ 已验证。\n请直接发送消息以联系管理员。" });
+    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("verified"), parse_mode: "HTML" });
   }
 }
 
@@ -804,30 +1031,33 @@ async function handleVerifiedMsg(msg, u, env, ctx) {
   if (u.is_blocked && !(await isAuthAdmin(id, env))) return;
 
   const text = msg.text || msg.caption || "";
-
-  // A. 屏蔽词检测（ReDoS 缓解）
-  if (text) {
-    const kws = await getJsonCfg("block_keywords", env);
-    const hit = (Array.isArray(kws) ? kws : []).some(k => safeRegexTest(k, text));
-    if (hit) {
-      const c = u.block_count + 1;
-      const max = parseInt(await getCfg("block_threshold", env), 10) || 5;
-      await updUser(id, { block_count: c, is_blocked: c >= max }, env);
-
-      if (c >= max) {
-        await manageBlacklist(env, u, msg.from, true);
-        return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 您已被系统自动封禁" });
-      }
-      return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `⚠️ 含有违禁词，请勿发送 (${c}/${max})` });
+  const t = await userTr(env, u, msg.from);
+
+  // A. 屏蔽词规则（ReDoS 缓解）：丢弃类动作到此为止，警告/标记在转发后通知管理员
+  const kwHit = text ? await applyKwRule(env, u, t, text, msg.from) : null;
+  if (kwHit?.stop) return notifyKwHit(env, id, kwHit);
+
+  // A2. 内容风控：拦截/屏蔽时不再转发
+  const spam = await checkSpam(msg, u, env);
+  if (spam) {
+    await reportSpam(msg, u, env, spam);
+    if (spam.action === "ban") {
+      return setUserBlock(env, id, {
+        blocked: true,
+        reason: `疑似垃圾: ${spam.hits.map(h => SPAM_CHECKS[h.check].label).join(" / ")}`,
+        tgUser: msg.from,
+        cause: "spam"
+      });
     }
+    if (spam.action === "drop") return;
   }
 
   // B. 类型过滤
-  for (const t of MSG_TYPES) {
-    if (t.check(msg)) {
-      const enabled = t.extra ? await getBool(t.extra(msg), env) : await getBool(t.key, env);
+  for (const mt of MSG_TYPES) {
+    if (mt.check(msg)) {
+      const enabled = mt.extra ? await getBool(mt.extra(msg), env) : await getBool(mt.key, env);
       if (!enabled && !(await isAuthAdmin(id, env))) {
-        return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `⚠️ 系统不接收 ${t.name}` });
+        return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("type_rejected", { type: mt.name }), parse_mode: "HTML" });
       }
       break;
     }
@@ -840,17 +1070,22 @@ async function handleVerifiedMsg(msg, u, env, ctx) {
     if (match) api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: match.response }).catch(() => {});
   }
 
-  // D. 忙碌回复
-  if (await getBool("busy_mode", env)) {
+  // D. 忙碌回复（手动开关优先，auto 时按营业时间表计算）
+  const busy = await getBusyState(env);
+  if (busy.closed) {
+    await bumpStat(env, "busy_hits");
     const now = Date.now();
     if (now - (u.user_info.last_busy_reply || 0) > 300000) {
-      api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "🌙 " + (await getCfg("busy_msg", env)) }).catch(() => {});
+      const nextOpen = await fmtNextOpen(busy.nextOpen, await userTr(env, u, msg.from));
+      const busyText = (await getCfg("busy_msg", env)).replace(/{next_open}/g, nextOpen);
+      api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "🌙 " + busyText }).catch(() => {});
       await updUser(id, { user_info: { last_busy_reply: now } }, env);
     }
   }
 
   // E. 转发
   await relayToTopic(msg, u, env, ctx);
+  if (kwHit) await notifyKwHit(env, id, kwHit);
 }
 
 // --- 11. 转发到话题（D1 分布式幂等 + 指数退避轮询） ---
@@ -891,6 +1126,7 @@ async function relayToTopic(msg, u, env, ctx) {
           await updUser(uid, { topic_id: tid, topic_creating: 0, topic_create_ts: 0 }, env);
           u.topic_id = tid;
 
+          await autoAssign(env, u);
           await sendInfoCardToTopic(env, u, msg.from, tid);
         }
       } catch (e) {
@@ -921,13 +1157,23 @@ async function relayToTopic(msg, u, env, ctx) {
 
   if (!tid) return;
 
+  // 用户来信：已解决 / 等待用户 的会话自动回到处理中
+  if (ticketOf(u) !== "open") await setTicketStatus(env, u, "open", "system");
+
+  // 用户回复了某条消息：找到话题内对应的消息作为引用目标
+  const replyTarget = msg.reply_to_message ? await getMsgMapByUser(env, uid, msg.reply_to_message.message_id) : null;
+  const replyParams = replyTarget ? { reply_parameters: { message_id: replyTarget.admin_msg_id, allow_sending_without_reply: true } } : {};
+
   let relaySuccess = false;
+  let relayed = null;
   try {
-    await api(env.BOT_TOKEN, "forwardMessage", {
+    // forwardMessage 不支持 reply_parameters：需要保留引用时改用 copyMessage
+    relayed = await api(env.BOT_TOKEN, replyTarget ? "copyMessage" : "forwardMessage", {
       chat_id: env.ADMIN_GROUP_ID,
       from_chat_id: uid,
       message_id: msg.message_id,
-      message_thread_id: tid
+      message_thread_id: tid,
+      ...replyParams
     });
     relaySuccess = true;
   } catch {
@@ -935,11 +1181,12 @@ async function relayToTopic(msg, u, env, ctx) {
       const extra = {};
       if (msg.text) extra.text = msg.text;
       if (msg.caption) extra.caption = msg.caption;
-      await api(env.BOT_TOKEN, "copyMessage", {
+      relayed = await api(env.BOT_TOKEN, "copyMessage", {
         chat_id: env.ADMIN_GROUP_ID,
         from_chat_id: uid,
         message_id: msg.message_id,
         message_thread_id: tid,
+        ...replyParams,
         ...extra
       });
       relaySuccess = true;
@@ -947,7 +1194,8 @@ async function relayToTopic(msg, u, env, ctx) {
       console.error("Copy Failed:", cpErr);
       if (cpErr.message && (cpErr.message.includes("thread") || cpErr.message.includes("not found"))) {
         await updUser(uid, { topic_id: null }, env);
-        return api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: "⚠️ 会话已过期，请重发" });
+        const t = await userTr(env, u, msg.from);
+        return api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await t("session_expired"), parse_mode: "HTML" });
       }
     }
   }
@@ -960,22 +1208,31 @@ async function relayToTopic(msg, u, env, ctx) {
       markDelivered(env, uid, msg.message_id);
     }
 
-    if (msg.text) {
-      try {
-        await sql(env, "INSERT OR REPLACE INTO messages (user_id, message_id, text, date) VALUES (?,?,?,?)", [
-          uid,
-          msg.message_id,
-          msg.text,
-          msg.date
-        ]);
-      } catch {}
-      maybeCleanupMessages(env, ctx);
-    }
+    if (relayed?.message_id) await saveMsgMap(env, uid, msg.message_id, relayed.message_id, "in");
+    // wait_since 记录首条未回复消息的时间，管理员回复后清零
+    await updUser(uid, { last_seen: Date.now(), ...(u.wait_since ? {} : { wait_since: Date.now(), sla_level: 0 }) }, env);
+
+    await storeMessage(env, uid, msg.message_id, msg.text || msg.caption, msg.date, "in", uid);
+    await bumpStat(env, "msg_in");
 
     await Promise.all([handleInbox(env, msg, u, tid, uMeta), handleBackup(msg, uMeta, env)]);
   }
 }
 
+// 写入会话记录（direction: in=用户消息 / out=管理员回复，message_id 均为私聊内的消息 ID）
+async function storeMessage(env, uid, messageId, text, date, direction, senderId) {
+  if (!text) return;
+  try {
+    // upsert（而非 REPLACE）以触发 UPDATE 触发器，保持全文索引一致
+    await sql(
+      env,
+      `INSERT INTO messages (user_id, message_id, text, date, direction, sender_id) VALUES (?,?,?,?,?,?)
+       ON CONFLICT(user_id, message_id) DO UPDATE SET text=excluded.text, date=excluded.date`,
+      [uid.toString(), messageId, text, date, direction, senderId.toString()]
+    );
+  } catch {}
+}
+
 async function markDelivered(env, chatId, messageId) {
   try {
     await api(env.BOT_TOKEN, "setMessageReaction", {
@@ -996,7 +1253,7 @@ async function sendInfoCardToTopic(env, u, tgUser, tid, date) {
       message_thread_id: tid,
       text: meta.card,
       parse_mode: "HTML",
-      reply_markup: getBtns(u.user_id, u.is_blocked)
+      reply_markup: getBtns(u)
     });
     await updUser(u.user_id, { user_info: { card_msg_id: card.message_id } }, env);
     api(env.BOT_TOKEN, "pinChatMessage", { chat_id: env.ADMIN_GROUP_ID, message_id: card.message_id, message_thread_id: tid }).catch(() => {});
@@ -1007,12 +1264,7 @@ async function sendInfoCardToTopic(env, u, tgUser, tid, date) {
 }
 
 // --- 13. 未读通知（聚合话题） ---
-async function handleInbox(env, msg, u, tid, uMeta) {
-  const lk = `inbox:${u.user_id}`;
-  if (CACHE.locks.has(lk)) return;
-  CACHE.locks.add(lk);
-  setTimeout(() => CACHE.locks.delete(lk), 3000);
-
+async function getInboxTopic(env) {
   let inboxId = await getCfg("unread_topic_id", env);
   if (!inboxId) {
     try {
@@ -1020,16 +1272,24 @@ async function handleInbox(env, msg, u, tid, uMeta) {
       inboxId = t.message_thread_id.toString();
       await setCfg("unread_topic_id", inboxId, env);
     } catch {
-      return;
+      return null;
     }
   }
+  return inboxId;
+}
+
+async function handleInbox(env, msg, u, tid, uMeta) {
+  const lk = `inbox:${u.user_id}`;
+  if (CACHE.locks.has(lk)) return;
+  CACHE.locks.add(lk);
+  setTimeout(() => CACHE.locks.delete(lk), 3000);
+
+  const inboxId = await getInboxTopic(env);
+  if (!inboxId) return;
 
-  const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
   const preview = msg.text ? (msg.text.length > 20 ? msg.text.substring(0, 20) + "..." : msg.text) : "[媒体消息]";
   const cardText = `<b>🔔 新消息</b>\n${uMeta.card}\n📝 <b>预览:</b> ${escapeHTML(preview)}`;
-  const kb = {
-    inline_keyboard: [[{ text: "🚀 直达回复", url: `https://t.me/c/${gid}/${tid}` }, { text: "✅ 已阅", callback_data: `inbox:del:${u.user_id}` }]]
-  };
+  const kb = getInboxKB(env, u, tid);
 
   try {
     if (u.user_info.inbox_msg_id) {
@@ -1076,10 +1336,12 @@ async function manageBlacklist(env, u, tgUser, isBlocking) {
 
   if (isBlocking) {
     const meta = getUMeta(tgUser, u, Date.now() / 1000);
+    const until = u.blocked_until ? `\n⏳ <b>解封:</b> ${fmtTime(u.blocked_until)} (剩余 ${fmtWait(u.blocked_until - Date.now(), "zh")})` : "\n⏳ <b>期限:</b> 永久";
+    const reason = u.block_reason ? `\n📄 <b>原因:</b> ${escapeHTML(u.block_reason)}` : "";
     const m = await api(env.BOT_TOKEN, "sendMessage", {
       chat_id: env.ADMIN_GROUP_ID,
       message_thread_id: bid,
-      text: `<b>🚫 用户已屏蔽</b>\n${meta.card}`,
+      text: `<b>🚫 用户已屏蔽</b>${until}${reason}\n${meta.card}`,
       parse_mode: "HTML",
       reply_markup: { inline_keyboard: [[{ text: "✅ 解除屏蔽", callback_data: `unblock:${u.user_id}` }]] }
     }).catch(() => {});
@@ -1106,26 +1368,32 @@ async function handleBackup(msg, meta, env) {
 async function handleVerifyPage(url, env) {
   const uid = url.searchParams.get("user_id");
   const nonce = url.searchParams.get("nonce") || "";
-  const mode = await getCfg("captcha_mode", env);
-  const siteKey = mode === "recaptcha" ? env.RECAPTCHA_SITE_KEY : env.TURNSTILE_SITE_KEY;
-  if (!uid || !siteKey) return new Response("Misconfigured", { status: 400 });
+  const provider = CAPTCHA_PROVIDERS[await getCfg("captcha_mode", env)];
+  if (!uid || !provider || !providerReady(provider, env)) return new Response("Misconfigured", { status: 400 });
+  const siteKey = escapeHTML(provider.siteKey ? env[provider.siteKey] : "");
 
-  const script = mode === "recaptcha" ? "https://www.google.com/recaptcha/api.js" : "https://challenges.cloudflare.com/turnstile/v0/api.js";
-  const divClass = mode === "recaptcha" ? "g-recaptcha" : "cf-turnstile";
+  // 只读查询：公开 GET 不应创建用户记录
+  const row = await sql(env, "SELECT user_info_json FROM users WHERE user_id = ?", uid, "first");
+  const lang = await getLang(env, { user_info: safeParse(row?.user_info_json || "{}", {}) });
+  const L = {};
+  for (const k of ["page_title", "page_wait", "page_failed", "page_error"]) L[k] = await tr(env, lang, k);
 
-  const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+  const script = provider.script ? `<script src="${provider.script(siteKey, lang)}" async defer></script>` : "";
+
+  const html = `<!DOCTYPE html><html lang="${lang}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
 <script src="https://telegram.org/js/telegram-web-app.js"></script>
-<script src="${script}" async defer></script>
+${script}
 <style>body{display:flex;justify-content:center;align-items:center;height:100vh;background:#fff;font-family:sans-serif}
 #c{text-align:center;padding:20px;background:#f0f0f0;border-radius:10px;max-width:92vw}
-</style></head><body><div id="c"><h3>🛡️ 安全验证</h3>
-<div class="${divClass}" data-sitekey="${siteKey}" data-callback="S"></div><div id="m"></div></div>
+</style></head><body><div id="c"><h3>${escapeHTML(L.page_title)}</h3>
+${provider.widget(siteKey, lang)}<div id="m"></div></div>
 <script>
 const tg=window.Telegram.WebApp;tg.ready();
 const UI_USER_ID='${escapeHTML(uid)}';
 const UI_NONCE='${escapeHTML(nonce)}';
+const L=${JSON.stringify(L).replace(/</g, "\\u003c")};
 function S(t){
-  document.getElementById('m').innerText='Wait...';
+  document.getElementById('m').innerText=L.page_wait;
   const initData = tg.initData || "";
   fetch('/submit_token',{
     method:'POST',
@@ -1136,9 +1404,9 @@ function S(t){
       document.getElementById('m').innerText='✅';
       setTimeout(()=>{tg.close();try{window.close()}catch(e){}},800);
     }else{
-      document.getElementById('m').innerText='❌';
+      document.getElementById('m').innerText=L.page_failed;
     }
-  }).catch(e=>{document.getElementById('m').innerText='Error'});
+  }).catch(e=>{document.getElementById('m').innerText=L.page_error});
 }
 </script></body></html>`;
   return new Response(html, { headers: { "Content-Type": "text/html; charset=utf-8" } });
@@ -1152,9 +1420,11 @@ async function handleTokenSubmit(req, env, ctx) {
     const nonce = (body?.nonce || "").toString();
     const initData = (body?.initData || "").toString();
     const mode = await getCfg("captcha_mode", env);
+    const provider = CAPTCHA_PROVIDERS[mode];
+    if (!provider || !providerReady(provider, env)) throw new Error("provider unavailable");
 
     // 先做 IP 级限流
-    const rlPre = await checkSubmitRateLimit(req, env, ctx, "");
+    const rlPre = await checkSubmitRateLimit(req, env, "");
     if (!rlPre.allowed) throw new Error("Rate limited");
 
     // 必须 initData 且验签成功
@@ -1164,15 +1434,17 @@ async function handleTokenSubmit(req, env, ctx) {
     if (!uid) throw new Error("Missing uid");
 
     // uid 级限流
-    const rlUid = await checkSubmitRateLimit(req, env, ctx, uid);
+    const rlUid = await checkSubmitRateLimit(req, env, uid);
     if (!rlUid.allowed) throw new Error("Rate limited");
 
     if (uiUserId && uiUserId !== uid) throw new Error("uid mismatch");
 
     const u = await getUser(uid, env);
+    const t = await userTr(env, u, parsed?.userObj);
 
     // 屏蔽用户不允许验证推进
     if (u.is_blocked && !(await isAuthAdmin(uid, env))) throw new Error("blocked");
+    if (Number(u.user_info?.vf_until || 0) > Date.now()) throw new Error("cooldown");
 
     const savedNonce = (u.user_info?.verify_nonce || "").toString();
     const savedTs = Number(u.user_info?.verify_nonce_ts || 0);
@@ -1189,25 +1461,16 @@ async function handleTokenSubmit(req, env, ctx) {
       await updUser(uid, { user_info: { verify_nonce: "", verify_nonce_ts: 0 } }, env);
     }
 
-    const verifyUrl =
-      mode === "recaptcha"
-        ? "https://www.google.com/recaptcha/api/siteverify"
-        : "https://challenges.cloudflare.com/turnstile/v0/siteverify";
-
-    const params =
-      mode === "recaptcha"
-        ? new URLSearchParams({ secret: env.RECAPTCHA_SECRET_KEY, response: token })
-        : JSON.stringify({ secret: env.TURNSTILE_SECRET_KEY, response: token });
-
-    const headers =
-      mode === "recaptcha"
-        ? { "Content-Type": "application/x-www-form-urlencoded" }
-        : { "Content-Type": "application/json" };
-
-    const r = await fetch(verifyUrl, { method: "POST", headers, body: params });
-    const d = await r.json();
-    if (!d.success) throw new Error("Token Invalid");
+    const passed = await verifyCaptchaToken(provider, (token || "").toString(), req.headers.get("CF-Connecting-IP") || "", env);
+    if (!passed) {
+      const res = await recordVerifyFailure(env, u, parsed?.userObj, mode);
+      if (res.locked || res.blocked) {
+        api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await verifyFailText(t, res), parse_mode: "HTML" }).catch(() => {});
+      }
+      throw new Error("Token Invalid");
+    }
 
+    await bumpStat(env, `verify_pass:${mode}`);
     try {
       if (parsed?.userObj) {
         const nm = ((parsed.userObj.first_name || "") + " " + (parsed.userObj.last_name || "")).trim() || (parsed.userObj.first_name || "");
@@ -1221,11 +1484,11 @@ async function handleTokenSubmit(req, env, ctx) {
 
     const qaOn = await getBool("enable_qa_verify", env);
     if (qaOn) {
-      await updUser(uid, { user_state: "pending_verification" }, env);
-      await api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: "✅ 验证通过！\n请继续回答：\n" + (await getCfg("verif_q", env)) });
+      await updUser(uid, { user_info: { vf_fails: 0 } }, env);
+      await askQuestion(env, uid, t, "verify_passed_qa");
     } else {
-      await updUser(uid, { user_state: "verified" }, env);
-      await api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: "✅ 验证通过！\n请直接发送消息以联系管理员。" });
+      await updUser(uid, { user_state: "verified", user_info: VERIFY_FAIL_RESET }, env);
+      await api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await t("verify_passed"), parse_mode: "HTML" });
     }
 
     return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
@@ -1235,12 +1498,18 @@ async function handleTokenSubmit(req, env, ctx) {
 }
 
 // QA 验证
-async function verifyAnswer(id, ans, env) {
-  if (ans.trim() === (await getCfg("verif_a", env)).trim()) {
-    await updUser(id, { user_state: "verified" }, env);
-    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "✅ 验证通过！\n请直接发送消息以联系管理员。" });
+async function verifyAnswer(u, ans, env, t, from) {
+  const id = u.user_id;
+  const ok = await checkAnswer(env, u, ans);
+  // 所抽题目已被删除：换一题重新提问
+  if (ok === null) return askQuestion(env, id, t);
+  if (ok) {
+    await bumpStat(env, "verify_pass:qa");
+    await updUser(id, { user_state: "verified", user_info: VERIFY_FAIL_RESET }, env);
+    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("verify_passed"), parse_mode: "HTML" });
   } else {
-    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 错误" });
+    const res = await recordVerifyFailure(env, u, from, "qa");
+    await api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await verifyFailText(t, res, "wrong_answer"), parse_mode: "HTML" });
   }
 }
 
@@ -1297,6 +1566,9 @@ function bytesToHex(u8) {
   for (const b of u8) out += b.toString(16).padStart(2, "0");
   return out;
 }
+async function sha256Hex(str) {
+  return bytesToHex(new Uint8Array(await crypto.subtle.digest("SHA-256", strToBytes(str))));
+}
 function timingSafeEqualHex(a, b) {
   const aa = (a || "").toLowerCase();
   const bb = (b || "").toLowerCase();
@@ -1359,26 +1631,52 @@ function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
+const fmtTime = ms => new Date(ms).toLocaleString("zh-CN", { timeZone: "Asia/Shanghai", hour12: false });
+
+// "30m" / "12h" / "7d" / "2w" => 毫秒；无法解析返回 0
+function parseDuration(str) {
+  const m = /^(\d+)\s*([mhdw])$/i.exec((str || "").trim());
+  if (!m) return 0;
+  const unit = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 }[m[2].toLowerCase()];
+  return parseInt(m[1], 10) * unit;
+}
+
 const getUMeta = (tgUser, dbUser, d) => {
   const id = tgUser.id.toString();
   const name = (((tgUser.first_name || "") + " " + (tgUser.last_name || "")).trim() || tgUser.first_name || "User");
-  const timeStr = new Date(d * 1000).toLocaleString("zh-CN", { timeZone: "Asia/Shanghai", hour12: false });
+  const timeStr = fmtTime(d * 1000);
   const note = dbUser.user_info?.note ? `\n📝 <b>备注:</b> ${escapeHTML(dbUser.user_info.note)}` : "";
+  const tags = getTags(dbUser);
+  const tagLine = tags.length ? `\n🏷 <b>标签:</b> ${escapeHTML(fmtTags(tags))}` : "";
+  const ticket = TICKET_STATUS[dbUser.ticket_status] || TICKET_STATUS.open;
+  const owner = dbUser.assignee ? `\n🙋 <b>负责人:</b> ${escapeHTML(dbUser.user_info?.assignee_name || dbUser.assignee)}` : "";
+  const vf = dbUser.user_info?.vf_total
+    ? `\n⚠️ <b>验证失败:</b> ${dbUser.user_info.vf_total} 次${dbUser.user_info.vf_lockouts ? ` (冷却 ${dbUser.user_info.vf_lockouts} 轮)` : ""}`
+    : "";
   return {
     userId: id,
     name,
-    topicName: `${name} | ${id}`.substring(0, 128),
-    card: `<b>🪪 用户资料</b>\n👤: <code>${escapeHTML(name)}</code>\n🆔: <code>${escapeHTML(id)}</code>${note}\n🕒: <code>${escapeHTML(timeStr)}</code>`
+    topicName: `${ticket.prefix}${name} | ${id}${tags.length ? ` ${fmtTags(tags)}` : ""}`.substring(0, 128),
+    card: `<b>🪪 用户资料</b>\n👤: <code>${escapeHTML(name)}</code>\n🆔: <code>${escapeHTML(id)}</code>${note}${tagLine}\n📋 <b>工单:</b> ${ticket.icon} ${ticket.label}${owner}${vf}\n🕒: <code>${escapeHTML(timeStr)}</code>`
   };
 };
 
-const getBtns = (id, blk) => ({
-  inline_keyboard: [
-    [{ text: "👤 主页", url: `tg://user?id=${id}` }],
-    [{ text: blk ? "✅ 解封" : "🚫 屏蔽", callback_data: `${blk ? "unblock" : "block"}:${id}` }],
-    [{ text: "✏️ 备注", callback_data: `note:set:${id}` }, { text: "📌 置顶", callback_data: `pin_card:${id}` }]
-  ]
-});
+const getBtns = u => {
+  const id = u.user_id,
+    blk = u.is_blocked;
+  return {
+    inline_keyboard: [
+      [{ text: "👤 主页", url: `tg://user?id=${id}` }],
+      [{ text: blk ? "✅ 解封" : "🚫 屏蔽", callback_data: `${blk ? "unblock" : "block"}:${id}` }, getClaimBtn(u)],
+      [
+        { text: "✏️ 备注", callback_data: `note:set:${id}` },
+        { text: "🏷 标签", callback_data: `tags:${id}` },
+        { text: "📌 置顶", callback_data: `pin_card:${id}` }
+      ],
+      getTicketBtns(id, u.ticket_status)
+    ]
+  };
+};
 
 // --- 18. Commands ---
 async function registerCommands(env) {
@@ -1391,7 +1689,20 @@ async function registerCommands(env) {
 
     for (const id of uniqueAdmins) {
       await api(env.BOT_TOKEN, "setMyCommands", {
-        commands: [{ command: "start", description: "面板" }, { command: "help", description: "帮助" }, { command: "reset", description: "重置用户验证(主管理员)" }],
+        commands: [
+          { command: "start", description: "面板" },
+          { command: "help", description: "帮助" },
+          { command: "search", description: "搜索会话记录" },
+          { command: "ban", description: "限时屏蔽用户" },
+          { command: "close", description: "标记会话已解决" },
+          { command: "reopen", description: "重新打开会话" },
+          { command: "mine", description: "我负责的会话" },
+          { command: "r", description: "发送快捷回复(话题内)" },
+          { command: "audit", description: "审计日志" },
+          { command: "stats", description: "统计报表" },
+          { command: "export", description: "导出用户会话(主管理员)" },
+          { command: "reset", description: "重置用户验证(主管理员)" }
+        ],
         scope: { type: "chat", chat_id: id }
       });
     }
@@ -1401,7 +1712,11 @@ async function registerCommands(env) {
 // --- 19. 回调处理（黑名单/备注/置顶/未读已阅） ---
 async function handleCallback(cb, env) {
   const { data, message: msg, from } = cb;
-  const [act, p1, p2] = (data || "").split(":");
+  const [act, p1, p2, p3] = (data || "").split(":");
+
+  if (CALLBACK_CAPS[act] && !(await can(from.id, CALLBACK_CAPS[act], env))) {
+    return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "无权", show_alert: true }).catch(() => {});
+  }
 
   if (act === "inbox" && p1 === "del") {
     await api(env.BOT_TOKEN, "deleteMessage", { chat_id: msg.chat.id, message_id: msg.message_id }).catch(() => {});
@@ -1412,6 +1727,8 @@ async function handleCallback(cb, env) {
     return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "已处理" }).catch(() => {});
   }
 
+  if (act === "chal") return handleChallengeCallback(cb, p1, p2, env);
+
   if (act === "note" && p1 === "set") {
     await setCfg(`admin_state:${from.id}`, JSON.stringify({ action: "input_note", target: p2 }), env);
     return api(env.BOT_TOKEN, "sendMessage", {
@@ -1421,120 +1738,309 @@ async function handleCallback(cb, env) {
     });
   }
 
+  if (act === "tags" || act === "tag_rm") {
+    const u = await getUser(p1, env);
+    let tags = getTags(u);
+    if (act === "tag_rm" && tags[p2] !== undefined) tags = await applyTagOps(env, p1, { add: [], remove: [tags[p2]] }, from.id);
+    const kb = p2 === "back" ? getBtns(u) : getTagKB(p1, tags);
+    api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: msg.chat.id, message_id: msg.message_id, reply_markup: kb }).catch(() => {});
+    return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+  }
+
+  if (act === "tag_add") {
+    await setCfg(`admin_state:${from.id}`, JSON.stringify({ action: "input_tags", target: p1 }), env);
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    return api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: msg.chat.id,
+      message_thread_id: msg.message_thread_id,
+      text: "⌨️ 请回复要添加的标签，空格分隔，如：vip 售后\n前缀 - 表示删除，如：-vip"
+    });
+  }
+
+  if (act === "search") {
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    const state = await getUiState(env, `search:${from.id}`);
+    if (!state) return;
+    const page = await renderSearchPage(env, state, parseInt(p1, 10) || 0);
+    return api(env.BOT_TOKEN, "editMessageText", {
+      chat_id: msg.chat.id,
+      message_id: msg.message_id,
+      text: page.text,
+      parse_mode: "HTML",
+      reply_markup: page.kb
+    }).catch(() => {});
+  }
+
+  if (act === "stats") {
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    const render = (text, kb) =>
+      api(env.BOT_TOKEN, "editMessageText", { chat_id: msg.chat.id, message_id: msg.message_id, text, parse_mode: "HTML", reply_markup: kb }).catch(() => {});
+    return renderStats(render, env, parseStatsPeriod(p1) || STATS_PERIODS[1], "stats");
+  }
+
+  if (act === "audit") {
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    const state = await getUiState(env, `audit:${from.id}`);
+    if (!state) return;
+    const page = await renderAuditPage(env, state, parseInt(p1, 10) || 0);
+    return api(env.BOT_TOKEN, "editMessageText", {
+      chat_id: msg.chat.id,
+      message_id: msg.message_id,
+      text: page.text,
+      parse_mode: "HTML",
+      reply_markup: page.kb
+    }).catch(() => {});
+  }
+
+  if (act === "bc" && p1 === "cancel") {
+    await tryRun(env, "UPDATE broadcasts SET status='cancelled', updated_at=? WHERE id=? AND status='running'", [Date.now(), p2]);
+    await updateBroadcastCard(env, p2);
+    return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "已取消" }).catch(() => {});
+  }
+
   if (act === "config") {
-    if (!(await isPrimaryAdmin(from.id, env))) {
-      return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "无权", show_alert: true }).catch(() => {});
-    }
     await api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
     const [, t, k, v] = (data || "").split(":");
     return handleAdminConfig(msg.chat.id, msg.message_id, t, k, v, env);
   }
 
   if (msg.chat.id.toString() === env.ADMIN_GROUP_ID && ["block", "unblock"].includes(act)) {
-    if (!(await isAuthAdmin(from.id, env))) {
-      return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "无权", show_alert: true }).catch(() => {});
+    // 屏蔽：先在当前卡片上展开时长选择；p2 为来源卡片（spam=垃圾报告），选择 / 取消后恢复该卡片自己的按钮
+    if (act === "block") {
+      api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: msg.chat.id, message_id: msg.message_id, reply_markup: getBanPickerKB(p1, p2) }).catch(() => {});
+      return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "请选择屏蔽时长" }).catch(() => {});
     }
-    const isB = act === "block";
-    const uid = p1;
-    const u = await getUser(uid, env);
-    await updUser(uid, { is_blocked: isB, block_count: 0 }, env);
+    const u = await setUserBlock(env, p1, { blocked: false, actor: from.id });
+    if (p2 === "spam") {
+      api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: msg.chat.id, message_id: msg.message_id, reply_markup: getSpamReportKB(u, env) }).catch(() => {});
+    }
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "已解封" }).catch(() => {});
+  }
 
-    if (u.user_info.card_msg_id) {
-      api(env.BOT_TOKEN, "editMessageReplyMarkup", {
-        chat_id: env.ADMIN_GROUP_ID,
-        message_id: u.user_info.card_msg_id,
-        reply_markup: getBtns(uid, isB)
-      }).catch(() => {});
+  if (msg.chat.id.toString() === env.ADMIN_GROUP_ID && act === "ban") {
+    if (p2 === "back") {
+      const u = await getUser(p1, env);
+      const kb = p3 === "spam" ? getSpamReportKB(u, env) : getBtns(u);
+      api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: msg.chat.id, message_id: msg.message_id, reply_markup: kb }).catch(() => {});
+      return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    }
+    const ms = p2 === "perm" ? 0 : parseDuration(p2);
+    if (p2 !== "perm" && !ms) return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    const until = ms ? Date.now() + ms : 0;
+    const u = await setUserBlock(env, p1, { blocked: true, until, notify: true, actor: from.id });
+    // 资料卡由 setUserBlock 刷新；垃圾报告需单独换回报告自己的按钮
+    if (p3 === "spam") {
+      api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: msg.chat.id, message_id: msg.message_id, reply_markup: getSpamReportKB(u, env) }).catch(() => {});
     }
-    await manageBlacklist(env, u, { id: uid, first_name: u.user_info.name || "User", username: u.user_info.username }, isB);
-    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: isB ? "已屏蔽" : "已解封" }).catch(() => {});
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: until ? `已屏蔽至 ${fmtTime(until)}` : "已永久屏蔽" }).catch(() => {});
+  }
+
+  if (msg.chat.id.toString() === env.ADMIN_GROUP_ID && act === "ticket") {
+    const changed = await setTicketStatus(env, await getUser(p1, env), p2, from.id);
+    api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: changed ? `已标记为${TICKET_STATUS[p2].label}` : "" }).catch(() => {});
+  }
+
+  if (msg.chat.id.toString() === env.ADMIN_GROUP_ID && act === "claim") {
+    // 再次点击自己已认领的会话即取消认领；点击他人认领的会话则转为自己负责
+    const u = await getUser(p1, env);
+    const mine = u.assignee === from.id.toString();
+    await assignUser(env, u, mine ? "" : from.id.toString(), from.id, from.first_name);
+    return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: mine ? "已取消认领" : "已认领" }).catch(() => {});
   }
 
   if (act === "pin_card") {
-    if (!(await isAuthAdmin(from.id, env))) {
-      return api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "无权", show_alert: true }).catch(() => {});
-    }
     api(env.BOT_TOKEN, "pinChatMessage", { chat_id: msg.chat.id, message_id: msg.message_id, message_thread_id: msg.message_thread_id }).catch(() => {});
+    await audit(env, from.id, "pin_card", p1 || "");
     api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text: "已置顶" }).catch(() => {});
   }
 }
 
 // --- 20. 管理员回复（无文字回执） ---
 async function handleAdminReply(msg, env) {
-  if (!msg.message_thread_id || msg.from.is_bot || !(await isAuthAdmin(msg.from.id, env))) return;
+  if (msg.from.is_bot || !(await isAuthAdmin(msg.from.id, env))) return;
+  if (await handleAdminCommand(msg, env)) return;
+  if (!msg.message_thread_id) return;
 
   const stateStr = await getCfg(`admin_state:${msg.from.id}`, env);
   if (stateStr) {
     const state = safeParse(stateStr);
     if (state.action === "input_note") {
       const u = await getUser(state.target, env);
+      const oldNote = u.user_info.note || "";
       u.user_info.note = msg.text === "/clear" || msg.text === "清除" ? "" : msg.text;
+      await audit(env, msg.from.id, "note", state.target, oldNote || null, u.user_info.note || null);
       await updUser(state.target, { user_info: u.user_info }, env);
       await setCfg(`admin_state:${msg.from.id}`, "", env);
-
-      if (u.topic_id && u.user_info.card_msg_id) {
-        const meta = getUMeta(
-          { id: state.target, first_name: u.user_info.name, username: u.user_info.username },
-          u,
-          u.user_info.join_date || Date.now() / 1000
-        );
-        api(env.BOT_TOKEN, "editMessageText", {
-          chat_id: env.ADMIN_GROUP_ID,
-          message_id: u.user_info.card_msg_id,
-          text: meta.card,
-          parse_mode: "HTML",
-          reply_markup: getBtns(state.target, u.is_blocked)
-        }).catch(() => {});
-      }
+      refreshUserCard(env, u);
       return api(env.BOT_TOKEN, "sendMessage", { chat_id: msg.chat.id, message_thread_id: msg.message_thread_id, text: "✅ 备注已更新" });
     }
+    if (state.action === "input_tags") {
+      await setCfg(`admin_state:${msg.from.id}`, "", env);
+      const ops = parseTagOps(msg.text, false);
+      if (!ops) return replyHere(env, msg, "❌ 标签格式错误：仅支持字母、数字、下划线与中文，每个不超过 16 字");
+      const tags = await applyTagOps(env, state.target, ops, msg.from.id);
+      return replyHere(env, msg, `🏷 标签: ${fmtTags(tags) || "(无)"}`);
+    }
   }
 
   const uid = (await sql(env, "SELECT user_id FROM users WHERE topic_id = ?", msg.message_thread_id.toString(), "first"))?.user_id;
   if (!uid) return;
 
+  // 整条消息均为 #标签 / -#标签 时视为标签操作，不转发给用户
+  const tagOps = parseTagOps(msg.text, true);
+  if (tagOps) {
+    if (!(await can(msg.from.id, "note", env))) return replyHere(env, msg, `❌ 无权限（${CAPS.note}）`);
+    const tags = await applyTagOps(env, uid, tagOps, msg.from.id);
+    return replyHere(env, msg, `🏷 标签: ${fmtTags(tags) || "(无)"}`);
+  }
+
+  if (!(await can(msg.from.id, "reply", env))) return replyHere(env, msg, `❌ 无权限（${CAPS.reply}）`);
+  if (/^\/recall(@\w+)?$/i.test((msg.text || "").trim())) return handleRecall(msg, uid, env);
+
+  // 管理员回复了话题内的某条消息（话题内普通消息的 reply_to_message 指向话题本身，需排除）
+  const rt = msg.reply_to_message;
+  const replyTarget = rt && rt.message_id !== msg.message_thread_id ? await getMsgMapByAdmin(env, rt.message_id) : null;
+  const replyParams =
+    replyTarget && replyTarget.user_id === uid.toString()
+      ? { reply_parameters: { message_id: replyTarget.user_msg_id, allow_sending_without_reply: true } }
+      : {};
+
+  // /r <快捷词>：展开快捷回复发送，命令本身不转发
+  const cr = /^\/r(?:@\w+)?(?:\s+(\S+)[\s\S]*)?$/i.exec((msg.text || "").trim());
+  if (cr) return handleCannedReply(msg, uid, cr[1] || "", replyParams, env);
+
   try {
-    await api(env.BOT_TOKEN, "copyMessage", { chat_id: uid, from_chat_id: msg.chat.id, message_id: msg.message_id });
+    const sent = await api(env.BOT_TOKEN, "copyMessage", { chat_id: uid, from_chat_id: msg.chat.id, message_id: msg.message_id, ...replyParams });
+    if (sent?.message_id) {
+      await saveMsgMap(env, uid, sent.message_id, msg.message_id, "out");
+      await storeMessage(env, uid, sent.message_id, msg.text || msg.caption, msg.date, "out", msg.from.id);
+      await bumpStat(env, "msg_out");
+      await markAnswered(env, uid, msg.from.id);
+    }
   } catch {
     api(env.BOT_TOKEN, "sendMessage", { chat_id: msg.chat.id, message_thread_id: msg.message_thread_id, text: "❌ 发送失败 (用户可能已停止Bot)" }).catch(() => {});
   }
 }
 
-// --- 21. 编辑消息提示 ---
+// 回复话题内已发给用户的消息并发送 /recall，撤回用户侧的副本（Bot 仅能删除 48 小时内的消息）
+async function handleRecall(msg, uid, env) {
+  const notify = text =>
+    api(env.BOT_TOKEN, "sendMessage", { chat_id: msg.chat.id, message_thread_id: msg.message_thread_id, text }).catch(() => {});
+
+  const target = msg.reply_to_message;
+  if (!target || target.message_id === msg.message_thread_id) return notify("ℹ️ 请回复要撤回的消息后发送 /recall");
+
+  const map = await getMsgMapByAdmin(env, target.message_id);
+  if (!map || map.direction !== "out" || map.user_id !== uid) return notify("❌ 未找到该消息的发送记录");
+
+  try {
+    await api(env.BOT_TOKEN, "deleteMessage", { chat_id: uid, message_id: map.user_msg_id });
+    await tryRun(env, "DELETE FROM msg_map WHERE admin_msg_id=?", target.message_id);
+    await tryRun(env, "DELETE FROM messages WHERE user_id=? AND message_id=?", [uid, map.user_msg_id]);
+    return notify("↩️ 已撤回");
+  } catch {
+    return notify("❌ 撤回失败 (超过 48 小时或用户已删除)");
+  }
+}
+
+// --- 21. 编辑消息提示 / 管理员编辑同步 ---
 async function handleEdit(msg, env) {
   const u = await getUser(msg.from.id.toString(), env);
+  if (msg.text || msg.caption) {
+    await tryRun(env, "UPDATE messages SET text=? WHERE user_id=? AND message_id=?", [msg.text || msg.caption, u.user_id, msg.message_id]);
+  }
   if (u.topic_id) {
     const txt = msg.text || msg.caption || "[非文本]";
+    const orig = await getMsgMapByUser(env, u.user_id, msg.message_id);
     api(env.BOT_TOKEN, "sendMessage", {
       chat_id: env.ADMIN_GROUP_ID,
       message_thread_id: u.topic_id,
+      ...(orig ? { reply_parameters: { message_id: orig.admin_msg_id, allow_sending_without_reply: true } } : {}),
       text: `✏️ <b>用户修改了消息:</b>\n${escapeHTML(txt)}`,
       parse_mode: "HTML"
     }).catch(() => {});
   }
 }
 
-// --- 22. 面板（移除回执功能项） ---
-async function handleAdminConfig(cid, mid, type, key, val, env) {
-  const render = (txt, kb) =>
-    api(env.BOT_TOKEN, mid ? "editMessageText" : "sendMessage", {
-      chat_id: cid,
-      message_id: mid,
-      text: txt,
-      parse_mode: "HTML",
-      reply_markup: kb
-    });
-  const back = { text: "🔙 返回", callback_data: "config:menu" };
+// 管理员在话题内编辑已发送的回复：同步编辑用户侧副本（文本 / 说明文字 / 媒体）
+async function handleAdminEdit(msg, env) {
+  if (!msg.message_thread_id || msg.from.is_bot || !(await can(msg.from.id, "reply", env))) return;
+
+  const map = await getMsgMapByAdmin(env, msg.message_id);
+  if (!map || map.direction !== "out") return;
 
   try {
-    if (!type || type === "menu") {
-      if (!key)
-        return render("⚙️ <b>控制面板</b>", {
-          inline_keyboard: [
-            [{ text: "📝 基础", callback_data: "config:menu:base" }, { text: "🤖 自动回复", callback_data: "config:menu:ar" }],
+    await editUserCopy(env, map.user_id, map.user_msg_id, msg);
+    if (msg.text || msg.caption) {
+      await tryRun(env, "UPDATE messages SET text=? WHERE user_id=? AND message_id=?", [msg.text || msg.caption, map.user_id, map.user_msg_id]);
+    }
+  } catch (e) {
+    if ((e?.message || "").includes("not modified")) return;
+    api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: msg.chat.id,
+      message_thread_id: msg.message_thread_id,
+      reply_parameters: { message_id: msg.message_id, allow_sending_without_reply: true },
+      text: "❌ 编辑未能同步给用户"
+    }).catch(() => {});
+  }
+}
+
+async function editUserCopy(env, uid, userMsgId, msg) {
+  if (msg.text) {
+    return api(env.BOT_TOKEN, "editMessageText", { chat_id: uid, message_id: userMsgId, text: msg.text, entities: msg.entities });
+  }
+
+  const media = toInputMedia(msg);
+  if (media) {
+    try {
+      return await api(env.BOT_TOKEN, "editMessageMedia", { chat_id: uid, message_id: userMsgId, media });
+    } catch (e) {
+      if ((e?.message || "").includes("not modified")) throw e;
+    }
+  }
+
+  return api(env.BOT_TOKEN, "editMessageCaption", {
+    chat_id: uid,
+    message_id: userMsgId,
+    caption: msg.caption || "",
+    caption_entities: msg.caption_entities
+  });
+}
+
+function toInputMedia(msg) {
+  const base = { caption: msg.caption || "", caption_entities: msg.caption_entities };
+  if (msg.photo?.length) return { type: "photo", media: msg.photo[msg.photo.length - 1].file_id, ...base };
+  if (msg.video) return { type: "video", media: msg.video.file_id, ...base };
+  if (msg.animation) return { type: "animation", media: msg.animation.file_id, ...base };
+  if (msg.audio) return { type: "audio", media: msg.audio.file_id, ...base };
+  if (msg.document) return { type: "document", media: msg.document.file_id, ...base };
+  return null;
+}
+
+// --- 22. 面板（移除回执功能项） ---
+async function handleAdminConfig(cid, mid, type, key, val, env) {
+  const render = (txt, kb) =>
+    api(env.BOT_TOKEN, mid ? "editMessageText" : "sendMessage", {
+      chat_id: cid,
+      message_id: mid,
+      text: txt,
+      parse_mode: "HTML",
+      reply_markup: kb
+    });
+  const back = { text: "🔙 返回", callback_data: "config:menu" };
+
+  try {
+    if (!type || type === "menu") {
+      if (!key)
+        return render("⚙️ <b>控制面板</b>", {
+          inline_keyboard: [
+            [{ text: "📝 基础", callback_data: "config:menu:base" }, { text: "🤖 自动回复", callback_data: "config:menu:ar" }],
             [{ text: "🚫 屏蔽词", callback_data: "config:menu:kw" }, { text: "🛠 过滤", callback_data: "config:menu:fl" }],
             [{ text: "👮 协管", callback_data: "config:menu:auth" }, { text: "💾 备份/通知", callback_data: "config:menu:bak" }],
-            [{ text: "🌙 营业状态", callback_data: "config:menu:busy" }]
+            [{ text: "🌙 营业状态", callback_data: "config:menu:busy" }, { text: "📣 群发", callback_data: "config:menu:bc" }],
+            [{ text: "🌐 多语言", callback_data: "config:menu:lang" }, { text: "📄 文案", callback_data: "config:tpl" }],
+            [{ text: "🧹 反垃圾", callback_data: "config:menu:spam" }, { text: "👥 用户", callback_data: "config:menu:users" }],
+            [{ text: "💬 快捷回复", callback_data: "config:menu:cr" }, { text: "📊 统计", callback_data: "config:menu:stats" }]
           ]
         });
 
@@ -1543,12 +2049,25 @@ async function handleAdminConfig(cid, mid, type, key, val, env) {
         const captchaOn = await getBool("enable_verify", env);
         const qaOn = await getBool("enable_qa_verify", env);
         let statusText = "❌ 已关闭";
-        if (captchaOn) statusText = mode === "recaptcha" ? "Google" : "Cloudflare";
+        if (captchaOn) statusText = mode === "chat" ? "聊天内挑战" : CAPTCHA_PROVIDERS[mode]?.label || mode;
 
-        return render(`基础配置\n验证码模式: ${statusText}\n问题验证: ${qaOn ? "✅" : "❌"}`, {
+        const bank = await getQaBank(env);
+        const maxTry = parseInt(await getCfg("verify_max_attempts", env), 10) || 0,
+          cooldown = parseInt(await getCfg("verify_cooldown", env), 10) || 60,
+          blockAfter = parseInt(await getCfg("verify_block_after", env), 10) || 0;
+        return render(`基础配置\n验证码模式: ${statusText}\n问题验证: ${qaOn ? "✅" : "❌"}\n题库: ${bank.length ? `${bank.length} 题 (随机抽取)` : "空 (使用下方问题/答案)"}`, {
           inline_keyboard: [
             [{ text: "欢迎语", callback_data: "config:edit:welcome_msg" }, { text: "问题", callback_data: "config:edit:verif_q" }, { text: "答案", callback_data: "config:edit:verif_a" }],
+            [{ text: `📚 题库 (${bank.length})`, callback_data: "config:menu:qa" }],
+            [
+              { text: `🔁 次数: ${maxTry || "不限"}`, callback_data: "config:edit:verify_max_attempts" },
+              { text: `⏳ 冷却: ${cooldown}s`, callback_data: "config:edit:verify_cooldown" },
+              { text: `🚫 自动屏蔽: ${blockAfter ? `${blockAfter} 轮` : "关"}`, callback_data: "config:edit:verify_block_after" }
+            ],
             [{ text: `验证码模式: ${statusText} (点击切换)`, callback_data: `config:rotate_mode` }],
+            ...(captchaOn && mode === "recaptcha_v3"
+              ? [[{ text: `📉 v3 最低分数: ${await getCfg("recaptcha_v3_min_score", env)}`, callback_data: "config:edit:recaptcha_v3_min_score" }]]
+              : []),
             [{ text: `问题验证: ${qaOn ? "✅ 开启" : "❌ 关闭"}`, callback_data: `config:toggle:enable_qa_verify:${!qaOn}` }],
             [back]
           ]
@@ -1556,36 +2075,76 @@ async function handleAdminConfig(cid, mid, type, key, val, env) {
       }
 
       if (key === "fl") return render("🛠 <b>过滤设置</b> (点击切换)", await getFilterKB(env));
-      if (["ar", "kw", "auth"].includes(key)) return render(`列表: ${key}`, await getListKB(key, env));
+      if (key === "bc") return renderBroadcastPanel(render, env);
+      if (key === "lang") return renderLangPanel(render, env);
+      if (key === "qa") return render("📚 <b>验证题库</b>\n每位用户随机抽取一题，点击题目查看详情", await getListKB(key, env));
+      if (key === "kw") return renderKwList(render, env);
+      if (key === "spam") return renderSpamPanel(render, env);
+      if (key === "users") return renderUserDir(render, env, cid);
+      if (key === "cr") return renderCannedList(render, env);
+      if (key === "stats") return renderStats(render, env, STATS_PERIODS[1], "config:stats");
+      if (key === "auth") return renderAdminList(render, env);
+      if (key === "ar") return render(`列表: ${key}`, await getListKB(key, env));
 
       if (key === "bak") {
         const bid = await getCfg("backup_group_id", env),
           uid = await getCfg("unread_topic_id", env),
-          blk = await getCfg("blocked_topic_id", env);
-        return render(`💾 <b>备份与通知</b>\n备份群: ${bid || "无"}\n未读话题: ${uid ? `✅ (${uid})` : "⏳"}\n黑名单话题: ${blk ? `✅ (${blk})` : "⏳"}`, {
+          blk = await getCfg("blocked_topic_id", env),
+          spm = await getCfg("spam_topic_id", env),
+          auditOn = await getBool("audit_mirror", env),
+          slaRemind = parseInt(await getCfg("sla_remind_minutes", env), 10) || 0,
+          slaEsc = parseInt(await getCfg("sla_escalate_minutes", env), 10) || 0,
+          cron = await sql(env, "SELECT MAX(last_ok) AS t FROM cron_state", [], "first");
+        const cronText = cron?.t ? fmtTime(cron.t) : "⚠️ 未运行 (请配置 Cron Trigger)";
+        return render(`💾 <b>备份与通知</b>\n备份群: ${bid || "无"}\n未读话题: ${uid ? `✅ (${uid})` : "⏳"}\n黑名单话题: ${blk ? `✅ (${blk})` : "⏳"}\n垃圾话题: ${spm ? `✅ (${spm})` : "⏳"}\n审计镜像: ${auditOn ? "✅" : "❌"}\n待回复提醒: ${slaRemind ? `${slaRemind} 分钟` : "关闭"} · 升级: ${slaEsc ? `${slaEsc} 分钟` : "关闭"}\n定时任务: ${cronText}`, {
           inline_keyboard: [
             [{ text: "设备份群", callback_data: "config:edit:backup_group_id" }, { text: "清备份", callback_data: "config:cl:backup_group_id" }],
             [{ text: "重置聚合话题", callback_data: "config:cl:unread_topic_id" }, { text: "重置黑名单", callback_data: "config:cl:blocked_topic_id" }],
+            [{ text: "重置垃圾话题", callback_data: "config:cl:spam_topic_id" }, { text: "重置审计话题", callback_data: "config:cl:audit_topic_id" }],
+            [{ text: `📜 审计镜像: ${auditOn ? "✅ 开启" : "❌ 关闭"}`, callback_data: `config:toggle:audit_mirror:${!auditOn}` }],
+            [
+              { text: `⏰ 提醒: ${slaRemind ? `${slaRemind}m` : "关"}`, callback_data: "config:edit:sla_remind_minutes" },
+              { text: `🚨 升级: ${slaEsc ? `${slaEsc}m` : "关"}`, callback_data: "config:edit:sla_escalate_minutes" }
+            ],
             [back]
           ]
         });
       }
 
       if (key === "busy") {
-        const on = await getBool("busy_mode", env),
-          msgText = await getCfg("busy_msg", env);
-        return render(`🌙 <b>营业状态</b>\n当前: ${on ? "🔴 休息中" : "🟢 营业中"}\n回复语: ${escapeHTML(msgText)}`, {
-          inline_keyboard: [
-            [{ text: `切换为 ${on ? "🟢 营业" : "🔴 休息"}`, callback_data: `config:toggle:busy_mode:${!on}` }],
-            [{ text: "✏️ 修改回复语", callback_data: "config:edit:busy_msg" }],
-            [back]
-          ]
-        });
+        const mode = await getCfg("busy_mode", env),
+          msgText = await getCfg("busy_msg", env),
+          sched = await getBusySchedule(env),
+          busy = await getBusyState(env);
+        const modeText = mode === "auto" ? "🕘 按时间表" : mode === "true" ? "🔴 休息 (手动)" : "🟢 营业 (手动)";
+        const mark = (v, t) => (mode === v ? `✔️ ${t}` : t);
+        return render(
+          `🌙 <b>营业状态</b>\n模式: ${modeText}\n当前: ${busy.closed ? "🔴 休息中" : "🟢 营业中"}` +
+            (busy.nextOpen ? `\n下次营业: ${escapeHTML(fmtNextOpenAdmin(busy.nextOpen))}` : "") +
+            `\n时区: ${escapeHTML(sched.tz)}\n时间表:\n${escapeHTML(formatBusySchedule(sched))}` +
+            `\n节假日: ${escapeHTML(sched.holidays.join(", ") || "无")}\n回复语: ${escapeHTML(msgText)}`,
+          {
+            inline_keyboard: [
+              [
+                { text: mark("false", "🟢 营业"), callback_data: "config:toggle:busy_mode:false" },
+                { text: mark("true", "🔴 休息"), callback_data: "config:toggle:busy_mode:true" },
+                { text: mark("auto", "🕘 按时间表"), callback_data: "config:toggle:busy_mode:auto" }
+              ],
+              [{ text: "🕘 时间表", callback_data: "config:edit:busy_schedule" }, { text: "🌐 时区", callback_data: "config:edit:timezone" }],
+              [{ text: "🎌 节假日", callback_data: "config:edit:busy_holidays" }, { text: "✏️ 修改回复语", callback_data: "config:edit:busy_msg" }],
+              [back]
+            ]
+          }
+        );
       }
     }
 
     if (type === "toggle") {
+      await audit(env, cid, "config", key, await getCfg(key, env), val);
       await setCfg(key, val, env);
+      if (key === "audit_mirror") return handleAdminConfig(cid, mid, "menu", "bak", null, env);
+      if (key === "auto_assign") return handleAdminConfig(cid, mid, "menu", "auth", null, env);
+      if (key === "default_lang") return renderLangPanel(render, env);
       return key === "busy_mode"
         ? handleAdminConfig(cid, mid, "menu", "busy", null, env)
         : key === "enable_qa_verify"
@@ -1594,23 +2153,27 @@ async function handleAdminConfig(cid, mid, type, key, val, env) {
     }
 
     if (type === "cl") {
+      await audit(env, cid, "config", key, await getCfg(key, env), key === "authorized_admins" ? "[]" : "");
       await setCfg(key, key === "authorized_admins" ? "[]" : "", env);
       return handleAdminConfig(
         cid,
         mid,
         "menu",
-        key === "unread_topic_id" || key === "blocked_topic_id" ? "bak" : key === "authorized_admins" ? "auth" : "bak",
+        ["unread_topic_id", "blocked_topic_id", "spam_topic_id", "audit_topic_id"].includes(key) ? "bak" : key === "authorized_admins" ? "auth" : "bak",
         null,
         env
       );
     }
 
     if (type === "del") {
-      const realK = key === "kw" ? "block_keywords" : key === "auth" ? "authorized_admins" : "keyword_responses";
+      const realK = LIST_KEYS[key] || LIST_KEYS.ar;
       let l = await getJsonCfg(realK, env);
-      l = (Array.isArray(l) ? l : []).filter(i => (i.id || i).toString() !== val);
+      l = Array.isArray(l) ? l : [];
+      await audit(env, cid, "config_del", realK, l.find(i => (i.id || i).toString() === val) ?? null, null);
+      l = l.filter(i => (i.id || i).toString() !== val);
       await setCfg(realK, JSON.stringify(l), env);
-      return render(`列表: ${key}`, await getListKB(key, env));
+      if (key === "auth") await saveAdminProfile(env, val, null);
+      return handleAdminConfig(cid, mid, "menu", key, null, env);
     }
 
     if (type === "edit" || type === "add") {
@@ -1618,26 +2181,105 @@ async function handleAdminConfig(cid, mid, type, key, val, env) {
 
       let promptText = `请输入 ${key} 的值 (/cancel 取消):`;
       if (key === "ar" && type === "add") promptText = `请输入自动回复规则，格式：\n<b>关键词===回复内容</b>\n\n例如：价格===请联系人工客服\n(/cancel 取消)`;
+      if (key === "auth" && type === "add") promptText = `请输入协管的 Telegram 用户 ID (/cancel 取消):\n\n默认角色为「${ROLES[DEFAULT_ROLE].label}」，添加后可在列表中调整角色与显示名`;
+      if (key === "kw" && type === "add")
+        promptText = `请输入屏蔽词（支持正则，不区分大小写）(/cancel 取消):\n\n例如：代开发票|刷单\n新规则默认「丢弃并警告」、权重 1，可在规则详情中调整`;
+      if (key === "block_threshold") promptText = `请输入自动屏蔽的累计分阈值（≥1）(/cancel 取消):`;
+      if (key === "sla_remind_minutes") promptText = `请输入用户等待多少分钟未获回复时发送提醒（0 = 关闭）(/cancel 取消):`;
+      if (key === "sla_escalate_minutes") promptText = `请输入用户等待多少分钟未获回复时升级提醒，提及全部协管与主管理员（0 = 不升级）(/cancel 取消):`;
+      if (key === "kw_decay_hours") promptText = `请输入累计分衰减间隔小时数，每经过该时长减 1 分（0 = 不衰减）(/cancel 取消):`;
+      if (SPAM_SETTINGS[key]) promptText = `请输入${SPAM_SETTINGS[key].prompt}（${SPAM_SETTINGS[key].min}-${SPAM_SETTINGS[key].max}）(/cancel 取消):`;
+      if (key === "cr" && type === "add")
+        promptText = `请发送快捷回复，第一个词为快捷词，其后为回复内容 (/cancel 取消):\n\n例如：退款 您好 {name}，退款将在 3 个工作日内原路退回\n• 支持 HTML 与占位符 ${CANNED_VARS.map(v => `{${v}}`).join(" ")}\n• 也可发送图片 / 视频 / 文件，快捷词与内容写在说明中\n• 快捷词已存在时覆盖原内容`;
+      if (key === "qa" && type === "add")
+        promptText = `请输入题目，格式：\n<b>问题===答案1|答案2</b>\n\n例如：中国的首都是？===北京|Beijing\n默认忽略大小写、全半角与空白，可在题目详情中调整\n(/cancel 取消)`;
       if (key === "welcome_msg") promptText = `请发送新的欢迎语 (/cancel 取消):\n\n• 支持 <b>文字</b> 或 <b>图片/视频/GIF</b>\n• 支持占位符: {name}\n• 直接发送媒体即可`;
+      if (key === "busy_msg") promptText = `请输入休息时的回复语 (/cancel 取消):\n\n• 支持占位符: {next_open}（按时间表营业时为下次营业时间）`;
+      if (key === "busy_schedule")
+        promptText = `请输入每周营业时间，每行一条 (/cancel 取消，/clear 清空):\n<b>星期 开始-结束[,开始-结束]</b>\n\n星期用 1-7（1=周一，7=周日），可写范围 1-5\n例如：\n1-5 09:00-18:00\n6 10:00-12:00,14:00-17:00\n5 20:00-02:00（跨午夜）`;
+      if (key === "busy_holidays")
+        promptText = `请输入节假日日期（全天休息），用空格/逗号/换行分隔 (/cancel 取消，/clear 清空):\n\n例如：2026-10-01~2026-10-07 2026-12-25`;
+      if (key === "timezone") promptText = `请输入 IANA 时区名称 (/cancel 取消):\n\n例如：Asia/Shanghai、Europe/Moscow、UTC`;
+      if (key === "recaptcha_v3_min_score") promptText = `请输入 reCAPTCHA v3 最低通过分数（0-1，越高越严格）(/cancel 取消):`;
+      if (key === "verify_max_attempts") promptText = `请输入每轮验证最多失败次数，超出后进入冷却（0 = 不限）(/cancel 取消):`;
+      if (key === "verify_cooldown") promptText = `请输入首次冷却秒数，之后每轮冷却时间翻倍（上限 24 小时）(/cancel 取消):`;
+      if (key === "verify_block_after") promptText = `请输入冷却达到多少轮后自动屏蔽（0 = 关闭）(/cancel 取消):`;
+      if (key === "bc_msg")
+        promptText = `请发送要群发的消息 (/cancel 取消):\n\n• 支持文字、图片、视频、文件及格式\n• ⚠️ 群发完成前请勿删除该消息`;
+      if (key === "bc_buttons")
+        promptText = `请输入群发消息下方的按钮，每行一排 (/cancel 取消，/clear 清空):\n<b>按钮文字 - https://链接</b>\n同一排多个按钮用 | 分隔\n\n例如：官网 - https://example.com | 频道 - https://t.me/example`;
+      if (key === "bc_days") promptText = `请输入“近 N 天活跃”的天数 N（1-365）(/cancel 取消):`;
       return api(env.BOT_TOKEN, "editMessageText", { chat_id: cid, message_id: mid, text: promptText, parse_mode: "HTML" });
     }
 
+    if (type === "bc") return handleBroadcastPanel(cid, mid, key, val, render, env);
+    if (type === "qa") return renderQaItem(render, key, env);
+    if (type === "qa_opt") {
+      const before = (await getQaBank(env)).find(i => i.id.toString() === key)?.opts;
+      await toggleQaOpt(env, key, val);
+      await audit(env, cid, "config", `qa_bank#${key}`, before, (await getQaBank(env)).find(i => i.id.toString() === key)?.opts);
+      return renderQaItem(render, key, env);
+    }
+    if (type === "adm") return renderAdminItem(render, key, env);
+    if (type === "cr") return renderCannedItem(render, key, env);
+    if (type === "stats") return renderStats(render, env, parseStatsPeriod(key) || STATS_PERIODS[1], "config:stats");
+    if (type === "users") return handleUserDirAction(cid, key, val, render, env);
+    if (type === "user") return renderUserDirItem(render, key, env);
+    if (type === "user_blk" || type === "user_rst") return handleUserDirItemAction(cid, type, key, render, env);
+    if (type === "adm_role") {
+      if (ROLES[val]) {
+        await audit(env, cid, "admin_role", key, (await getAdminProfile(key, env)).role, val);
+        await saveAdminProfile(env, key, { role: val });
+      }
+      return renderAdminItem(render, key, env);
+    }
+    if (type === "adm_duty") {
+      const p = await getAdminProfile(key, env);
+      await audit(env, cid, "admin_duty", key, !!p.duty, !p.duty);
+      await saveAdminProfile(env, key, { duty: !p.duty });
+      return renderAdminItem(render, key, env);
+    }
+    if (type === "adm_name") {
+      await setCfg(`admin_state:${cid}`, JSON.stringify({ action: "input", key: `adm_name:${key}` }), env);
+      return render(`请输入协管 <code>${escapeHTML(key)}</code> 的显示名（最多 32 字）(/cancel 取消，/clear 清除):`, { inline_keyboard: [] });
+    }
+    if (type === "spam_act") {
+      if (!SPAM_CHECKS[key]) return;
+      const order = Object.keys(SPAM_ACTIONS);
+      const cur = await getCfg(`spam_${key}_action`, env);
+      const next = order[(order.indexOf(cur) + 1) % order.length];
+      await audit(env, cid, "config", `spam_${key}_action`, cur, next);
+      await setCfg(`spam_${key}_action`, next, env);
+      return renderSpamPanel(render, env);
+    }
+    if (type === "kw") return renderKwItem(render, key, env);
+    if (type === "kw_act" || type === "kw_w") {
+      const pick = async () => (await getKwRules(env)).find(i => i.id.toString() === key);
+      const before = await pick();
+      await updateKwRule(env, key, type === "kw_act" ? { action: val } : { weightDelta: parseInt(val, 10) || 0 });
+      await audit(env, cid, "config", `block_keywords#${key}`, before, await pick());
+      return renderKwItem(render, key, env);
+    }
+    // i18n / i18n_edit：多语言面板旧版按钮，沿用为文案模板入口
+    if (type === "tpl" || type === "i18n") return renderTemplateList(render, key, env);
+    if (type === "tpl_item") return renderTemplateItem(render, key, val, env);
+    if (type === "tpl_edit" || type === "i18n_edit") return promptTemplateEdit(cid, mid, key, val, env);
+    if (type === "tpl_reset") {
+      await saveTemplateOverride(env, key, val, null, cid);
+      return renderTemplateItem(render, key, val, env);
+    }
+
     if (type === "rotate_mode") {
       const currentMode = await getCfg("captcha_mode", env);
       const isEnabled = await getBool("enable_verify", env);
-      let nextMode = "turnstile",
-        nextEnable = "true",
-        toast = "已切换: Cloudflare";
-      if (isEnabled) {
-        if (currentMode === "turnstile") {
-          nextMode = "recaptcha";
-          toast = "已切换: Google";
-        } else {
-          nextEnable = "false";
-          nextMode = currentMode;
-          toast = "验证已关闭";
-        }
-      }
+      // 顺序：已配置密钥的 Provider → 聊天内挑战 → 关闭
+      const modes = [...Object.keys(CAPTCHA_PROVIDERS).filter(k => providerReady(CAPTCHA_PROVIDERS[k], env)), "chat"];
+      const idx = isEnabled ? modes.indexOf(currentMode) + 1 : 0;
+      const nextMode = modes[idx] || currentMode,
+        nextEnable = idx < modes.length ? "true" : "false";
+      const toast =
+        nextEnable === "false" ? "验证已关闭" : `已切换: ${nextMode === "chat" ? "聊天内挑战 (算术/表情)" : CAPTCHA_PROVIDERS[nextMode].label}`;
+      await audit(env, cid, "config", "captcha_mode", isEnabled ? currentMode : "off", nextEnable === "true" ? nextMode : "off");
       await setCfg("captcha_mode", nextMode, env);
       await setCfg("enable_verify", nextEnable, env);
       return render(`基础配置已更新\n${toast}`, { inline_keyboard: [[back]] });
@@ -1674,10 +2316,19 @@ async function getFilterKB(env) {
 }
 
 async function getListKB(type, env) {
-  const k = type === "ar" ? "keyword_responses" : type === "kw" ? "block_keywords" : "authorized_admins";
-  const l = await getJsonCfg(k, env);
-  const btns = (Array.isArray(l) ? l : []).map(i => [{ text: `🗑 ${type === "ar" ? i.keywords : i}`, callback_data: `config:del:${type}:${i.id || i}` }]);
-  btns.push([{ text: "➕ 添加", callback_data: `config:add:${type}` }], [{ text: "🔙 返回", callback_data: "config:menu" }]);
+  const l = await getJsonCfg(LIST_KEYS[type] || LIST_KEYS.auth, env);
+  // 跳过异常 / 旧版题库条目（纯字符串或缺少 q），避免整个面板报错
+  const items = (Array.isArray(l) ? l : []).filter(i => type !== "qa" || (i && typeof i.q === "string"));
+  const btns = items.map(i =>
+    type === "qa"
+      ? [{ text: `📋 ${i.q.replace(/\s+/g, " ").slice(0, 40)}`, callback_data: `config:qa:${i.id}` }]
+      : type === "kw"
+        ? [{ text: `📋 ${KW_ACTIONS[i.action]?.icon || ""} ${i.pattern.slice(0, 40)} (+${i.weight})`, callback_data: `config:kw:${i.id}` }]
+        : type === "cr"
+          ? [{ text: `💬 ${i.key}${i.media ? ` ${CANNED_MEDIA[i.media.type]?.icon || ""}` : ""}`, callback_data: `config:cr:${i.id}` }]
+          : [{ text: `🗑 ${type === "ar" ? i.keywords : i}`, callback_data: `config:del:${type}:${i.id || i}` }]
+  );
+  btns.push([{ text: "➕ 添加", callback_data: `config:add:${type}` }], [{ text: "🔙 返回", callback_data: type === "qa" ? "config:menu:base" : "config:menu" }]);
   return { inline_keyboard: btns };
 }
 
@@ -1688,8 +2339,14 @@ async function handleAdminInput(id, msg, state, env) {
     return handleAdminConfig(id, null, "menu", null, null, env);
   }
 
+  if (state.key.startsWith("bc_")) return handleBroadcastInput(id, msg, state, env);
+  if (state.key.startsWith("tpl:") || state.key.startsWith("i18n:")) return handleTemplateInput(id, msg, state, env);
+  if (state.key.startsWith("adm_name:")) return handleAdminNameInput(id, msg, state, env);
+  if (state.key === "users_tag") return handleUserDirTagInput(id, msg, env);
+
   let k = state.key,
-    val = txt;
+    val = txt,
+    listChange; // 列表新增：[替换前, 新条目]，只审计变动的条目而非整个列表；null 表示无变化
   try {
     if (k === "welcome_msg") {
       if (msg.photo || msg.video || msg.animation) {
@@ -1710,20 +2367,77 @@ async function handleAdminInput(id, msg, state, env) {
       }
     } else if (k.endsWith("_add")) {
       k = k.replace("_add", "");
-      const realK = k === "ar" ? "keyword_responses" : k === "kw" ? "block_keywords" : "authorized_admins";
+      const realK = LIST_KEYS[k] || LIST_KEYS.auth;
       const list = await getJsonCfg(realK, env);
       const arr = Array.isArray(list) ? list : [];
+      listChange = null;
       if (k === "ar") {
         const [kk, rr] = txt.split("===");
-        if (kk && rr) arr.push({ keywords: kk, response: rr, id: Date.now() });
-        else return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 格式错误，请使用：关键词===回复内容" });
-      } else arr.push(txt);
+        if (!(kk && rr)) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 格式错误，请使用：关键词===回复内容" });
+        const item = { keywords: kk, response: rr, id: Date.now() };
+        arr.push(item);
+        listChange = [null, item];
+      } else if (k === "auth") {
+        const aid = txt.trim();
+        if (!/^\d+$/.test(aid)) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 请输入数字用户 ID (/cancel 取消)" });
+        if (!arr.map(String).includes(aid)) {
+          arr.push(aid);
+          listChange = [null, aid];
+        }
+      } else if (k === "kw") {
+        const item = parseKwEntry(txt);
+        if (!item) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 无效的正则表达式，请重新输入 (/cancel 取消)" });
+        arr.push(item);
+        listChange = [null, item];
+      } else if (k === "cr") {
+        const r = parseCannedEntry(msg);
+        if (r.error) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `❌ ${r.error} (/cancel 取消)` });
+        const idx = arr.findIndex(i => i?.key === r.item.key);
+        listChange = [idx >= 0 ? arr[idx] : null, r.item];
+        if (idx >= 0) arr[idx] = r.item;
+        else arr.push(r.item);
+      } else if (k === "qa") {
+        const item = parseQaEntry(txt);
+        if (!item) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 格式错误，请使用：问题===答案1|答案2 (/cancel 取消)" });
+        arr.push(item);
+        listChange = [null, item];
+      } else {
+        arr.push(txt);
+        listChange = [null, txt];
+      }
       val = JSON.stringify(arr);
       k = realK;
     } else if (k === "authorized_admins") {
       val = JSON.stringify(txt.split(/[,，]/).map(s => s.trim()).filter(Boolean));
+    } else if (k === "busy_schedule" || k === "busy_holidays") {
+      const parsed = txt.trim() === "/clear" ? (k === "busy_schedule" ? {} : []) : k === "busy_schedule" ? parseBusySchedule(txt) : parseHolidays(txt);
+      if (!parsed) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 格式错误，请按提示重新输入 (/cancel 取消)" });
+      val = JSON.stringify(parsed);
+    } else if (k === "recaptcha_v3_min_score") {
+      val = txt.trim();
+      const n = Number(val);
+      if (!val || !(n >= 0 && n <= 1)) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 请输入 0-1 之间的数字 (/cancel 取消)" });
+    } else if (["verify_max_attempts", "verify_cooldown", "verify_block_after", "block_threshold", "kw_decay_hours", "sla_remind_minutes", "sla_escalate_minutes"].includes(k)) {
+      val = txt.trim();
+      const min = k === "verify_cooldown" || k === "block_threshold" ? 1 : 0;
+      if (!/^\d+$/.test(val) || parseInt(val, 10) < min) {
+        return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `❌ 请输入不小于 ${min} 的整数 (/cancel 取消)` });
+      }
+      val = String(parseInt(val, 10));
+    } else if (SPAM_SETTINGS[k]) {
+      const { min, max } = SPAM_SETTINGS[k];
+      val = txt.trim();
+      if (!/^\d+$/.test(val) || +val < min || +val > max) {
+        return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `❌ 请输入 ${min}-${max} 之间的整数 (/cancel 取消)` });
+      }
+      val = String(parseInt(val, 10));
+    } else if (k === "timezone") {
+      val = txt.trim();
+      if (!isValidTimeZone(val)) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 无效时区，请重新输入 (/cancel 取消)" });
     }
 
+    if (listChange === undefined) await audit(env, id, "config", k, await getCfg(k, env), val);
+    else if (listChange) await audit(env, id, "config_add", k, ...listChange);
     await setCfg(k, val, env);
     await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
     const displayVal = val.startsWith("{") && k === "welcome_msg" ? "[媒体配置]" : val.substring(0, 100);
@@ -1733,3 +2447,2932 @@ async function handleAdminInput(id, msg, state, env) {
     api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `❌ 失败: ${e.message}` }).catch(() => {});
   }
 }
+
+// --- 23. 定时任务（Cron scheduled） ---
+// 新的定时功能只需在此注册：{ name, everyMs, run(env, now) }
+// 每次 Cron 触发时按顺序检查，到期的任务先在 cron_state 抢占后执行（多次触发重叠时不重复执行）
+const CRON_JOBS = [
+  {
+    name: "prune_ui_state",
+    everyMs: 60 * 60_000,
+    run: async (env, now) => {
+      await sql(env, "DELETE FROM ui_state WHERE ts < ?", now - UI_STATE_TTL_MS);
+      // 旧版存于 config 表的翻页状态
+      await sql(env, "DELETE FROM config WHERE key LIKE 'search_state:%' OR key LIKE 'audit_state:%' OR key LIKE 'users_state:%'");
+    }
+  },
+  {
+    name: "prune_processed_updates",
+    everyMs: 10 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM processed_updates WHERE ts < ?", now - PROCESSED_UPDATES_TTL_MS)
+  },
+  {
+    name: "prune_ratelimits",
+    everyMs: 5 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM ratelimits WHERE ts < ?", now - RATELIMIT_CLEANUP_TTL_MS)
+  },
+  {
+    name: "prune_content_hashes",
+    everyMs: 10 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM content_hashes WHERE ts < ?", now - CONTENT_HASH_TTL_MS)
+  },
+  {
+    name: "prune_audit_log",
+    everyMs: 24 * 60 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM audit_log WHERE ts < ?", now - AUDIT_TTL_DAYS * 86400_000)
+  },
+  {
+    name: "prune_messages",
+    everyMs: 60 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM messages WHERE date < ?", Math.floor(now / 1000) - MESSAGES_TTL_DAYS * 86400)
+  },
+  {
+    name: "prune_msg_map",
+    everyMs: 60 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM msg_map WHERE ts < ?", now - MSG_MAP_TTL_DAYS * 86400000)
+  },
+  {
+    name: "broadcast",
+    everyMs: 60_000,
+    run: env => runBroadcastBatch(env)
+  },
+  {
+    name: "release_topic_locks",
+    everyMs: 60_000,
+    run: (env, now) =>
+      sql(env, "UPDATE users SET topic_creating=0, topic_create_ts=0 WHERE topic_creating=1 AND topic_create_ts < ?", now - TOPIC_LOCK_STALE_MS)
+  },
+  {
+    name: "expire_verify_nonces",
+    everyMs: 10 * 60_000,
+    run: (env, now) =>
+      sql(
+        env,
+        `UPDATE users
+         SET user_info_json = json_set(user_info_json, '$.verify_nonce', '', '$.verify_nonce_ts', 0)
+         WHERE json_valid(user_info_json)
+           AND json_extract(user_info_json, '$.verify_nonce_ts') > 0
+           AND json_extract(user_info_json, '$.verify_nonce_ts') < ?`,
+        now - VERIFY_NONCE_TTL_MS
+      )
+  },
+  {
+    name: "expire_bans",
+    everyMs: 60_000,
+    run: async (env, now) => {
+      const res = await sql(
+        env,
+        "SELECT user_id FROM users WHERE is_blocked = 1 AND blocked_until > 0 AND blocked_until <= ? LIMIT 50",
+        now,
+        "all"
+      );
+      for (const r of res?.results || []) await setUserBlock(env, r.user_id, { blocked: false, notify: true });
+    }
+  },
+  {
+    name: "sla_reminders",
+    everyMs: 60_000,
+    run: (env, now) => runSlaReminders(env, now)
+  },
+  {
+    name: "prune_sla_responses",
+    everyMs: 24 * 60 * 60_000,
+    run: (env, now) => sql(env, "DELETE FROM sla_responses WHERE replied_at < ?", now - SLA_TTL_DAYS * 86400_000)
+  },
+  {
+    name: "prune_stats_daily",
+    everyMs: 24 * 60 * 60_000,
+    run: async (env, now) => sql(env, "DELETE FROM stats_daily WHERE day < ?", await statsDay(env, now - STATS_TTL_DAYS * 86400_000))
+  }
+];
+
+async function claimCronJob(env, job, now) {
+  const res = await tryRun(
+    env,
+    `INSERT INTO cron_state (name, last_run) VALUES (?, ?)
+     ON CONFLICT(name) DO UPDATE SET last_run=excluded.last_run
+     WHERE cron_state.last_run <= ?`,
+    [job.name, now, now - job.everyMs + CRON_SLACK_MS]
+  );
+  return (res?.meta?.changes ?? res?.changes ?? 0) === 1;
+}
+
+async function runCronJobs(env, now = Date.now()) {
+  if (!env.TG_BOT_DB) return;
+  await dbInit(env);
+
+  for (const job of CRON_JOBS) {
+    if (!(await claimCronJob(env, job, now))) continue;
+    try {
+      await job.run(env, now);
+      await tryRun(env, "UPDATE cron_state SET last_ok=?, last_error=NULL, run_count=run_count+1 WHERE name=?", [Date.now(), job.name]);
+    } catch (e) {
+      console.error(`Cron Job Failed [${job.name}]:`, e);
+      await tryRun(env, "UPDATE cron_state SET last_error=?, run_count=run_count+1 WHERE name=?", [(e?.message || String(e)).substring(0, 200), job.name]);
+    }
+  }
+}
+
+// --- 24. 营业时间表（busy_mode=auto） ---
+const WEEKDAY_LABELS = ["周日", "周一", "周二", "周三", "周四", "周五", "周六"];
+const WEEKDAY_EN = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HOLIDAY_RANGE_MAX_DAYS = 62;
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// timezone 配置（无效时回退默认值）
+async function getTimeZone(env) {
+  const tz = (await getCfg("timezone", env)).trim();
+  return isValidTimeZone(tz) ? tz : DEFAULTS.timezone;
+}
+
+// 用户侧时间：按指定时区与语言格式化，末尾附时区（如 GMT+8）
+function fmtZonedTime(ms, tz, locale) {
+  const zone = new Intl.DateTimeFormat(locale, { timeZone: tz, timeZoneName: "short" }).formatToParts(new Date(ms)).find(p => p.type === "timeZoneName");
+  const opts = { timeZone: tz, hour12: false, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" };
+  return `${new Date(ms).toLocaleString(locale, opts)} ${zone?.value || tz}`;
+}
+
+// 指定时区下的 日期 / 星期 / 当日分钟数
+function zonedParts(ms, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short"
+  }).formatToParts(new Date(ms));
+  const g = t => parts.find(p => p.type === t)?.value || "";
+  return {
+    date: `${g("year")}-${g("month")}-${g("day")}`,
+    wd: WEEKDAY_EN.indexOf(g("weekday")),
+    min: parseInt(g("hour"), 10) * 60 + parseInt(g("minute"), 10)
+  };
+}
+
+const hhmmToMin = s => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec((s || "").trim());
+  if (!m) return null;
+  const h = parseInt(m[1], 10),
+    mi = parseInt(m[2], 10);
+  return h <= 24 && mi < 60 && h * 60 + mi <= 1440 ? h * 60 + mi : null;
+};
+const minToHhmm = m => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+
+// 按日历日期前后移动 n 天（不经时间戳换算，夏令时切换日的 23 / 25 小时不会跳日或重复）
+function shiftDate(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + n));
+  return { date: dt.toISOString().slice(0, 10), wd: dt.getUTCDay() };
+}
+
+function parseRange(str) {
+  const [a, b] = (str || "").split("-");
+  const s = hhmmToMin(a),
+    e = hhmmToMin(b);
+  if (s === null || e === null || s === e) return null;
+  return [s, e];
+}
+
+// "1-5 09:00-18:00,19:00-21:00" 每行一条；星期 1-7 => 存储键 0-6（0=周日）
+function parseBusySchedule(txt) {
+  const out = {};
+  const lines = (txt || "").split(/\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return null;
+
+  for (const line of lines) {
+    const m = /^([1-7])(?:\s*-\s*([1-7]))?\s+(.+)$/.exec(line);
+    if (!m) return null;
+    const from = parseInt(m[1], 10),
+      to = parseInt(m[2] || m[1], 10);
+    if (to < from) return null;
+
+    const ranges = m[3].split(/[,，\s]+/).filter(Boolean);
+    if (!ranges.length || ranges.some(r => !parseRange(r))) return null;
+
+    for (let d = from; d <= to; d++) {
+      const key = (d % 7).toString();
+      out[key] = [...(out[key] || []), ...ranges.map(r => r.trim())];
+    }
+  }
+  return out;
+}
+
+// "2026-10-01~2026-10-07 2026-12-25"
+function parseHolidays(txt) {
+  const out = new Set();
+  const tokens = (txt || "").split(/[\s,，]+/).filter(Boolean);
+  if (!tokens.length) return null;
+
+  for (const t of tokens) {
+    const [a, b] = t.split("~");
+    const start = Date.parse(`${a}T00:00:00Z`);
+    const end = b ? Date.parse(`${b}T00:00:00Z`) : start;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(a) || (b && !/^\d{4}-\d{2}-\d{2}$/.test(b))) return null;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return null;
+    if ((end - start) / 86400000 > HOLIDAY_RANGE_MAX_DAYS) return null;
+    for (let d = start; d <= end; d += 86400000) out.add(new Date(d).toISOString().slice(0, 10));
+  }
+  return [...out].sort();
+}
+
+async function getBusySchedule(env) {
+  const days = safeParse(await getCfg("busy_schedule", env), {});
+  const holidays = await getJsonCfg("busy_holidays", env);
+
+  const ranges = {};
+  for (let d = 0; d < 7; d++) {
+    const list = Array.isArray(days?.[d]) ? days[d] : [];
+    ranges[d] = list.map(parseRange).filter(Boolean).sort((x, y) => x[0] - y[0]);
+  }
+
+  return {
+    tz: await getTimeZone(env),
+    ranges,
+    holidays: Array.isArray(holidays) ? holidays.map(String) : [],
+    configured: Object.values(ranges).some(r => r.length)
+  };
+}
+
+function scheduleOpenAt(ms, sched) {
+  const p = zonedParts(ms, sched.tz);
+  if (!sched.holidays.includes(p.date)) {
+    for (const [s, e] of sched.ranges[p.wd] || []) {
+      if (e > s ? p.min >= s && p.min < e : p.min >= s) return true;
+    }
+  }
+
+  // 前一天跨午夜的时段延续到今天
+  const prev = shiftDate(p.date, -1);
+  if (sched.holidays.includes(prev.date)) return false;
+  return (sched.ranges[prev.wd] || []).some(([s, e]) => e <= s && p.min < e);
+}
+
+// 下次营业时间：{ days: 距今天的天数, date, wd, min }，两周内无营业时段返回 null
+function nextOpening(ms, sched) {
+  const today = zonedParts(ms, sched.tz);
+  for (let d = 0; d <= 14; d++) {
+    const p = d === 0 ? today : shiftDate(today.date, d);
+    if (sched.holidays.includes(p.date)) continue;
+    const next = (sched.ranges[p.wd] || []).find(([s]) => d > 0 || s > today.min);
+    if (next) return { days: d, date: p.date, wd: p.wd, min: next[0] };
+  }
+  return null;
+}
+
+// 管理面板用
+const fmtNextOpenAdmin = n => (n ? `${n.date} ${WEEKDAY_LABELS[n.wd]} ${minToHhmm(n.min)}` : "");
+
+// 用户侧 {next_open}：按用户语言的文案与日期格式
+async function fmtNextOpen(n, t) {
+  if (!n) return "";
+  const time = minToHhmm(n.min);
+  if (n.days <= 1) return t(n.days ? "next_open_tomorrow" : "next_open_today", { time });
+  const [y, m, d] = n.date.split("-").map(Number);
+  const at = new Date(Date.UTC(y, m - 1, d));
+  const locale = I18N_LOCALES[t.lang] || "en-US";
+  return t("next_open_date", {
+    date: at.toLocaleDateString(locale, { timeZone: "UTC", month: "2-digit", day: "2-digit" }),
+    weekday: at.toLocaleDateString(locale, { timeZone: "UTC", weekday: "short" }),
+    time
+  });
+}
+
+function formatBusySchedule(sched) {
+  if (!sched.configured) return "未设置";
+  return [1, 2, 3, 4, 5, 6, 0]
+    .filter(d => sched.ranges[d].length)
+    .map(d => `${WEEKDAY_LABELS[d]} ${sched.ranges[d].map(([s, e]) => `${minToHhmm(s)}-${minToHhmm(e)}`).join(", ")}`)
+    .join("\n");
+}
+
+// 手动开关（true/false）优先；auto 时由时间表决定，未设置时间表视为营业
+async function getBusyState(env, now = Date.now()) {
+  const mode = await getCfg("busy_mode", env);
+  if (mode !== "auto") return { closed: mode === "true", nextOpen: null };
+
+  const sched = await getBusySchedule(env);
+  if (!sched.configured) return { closed: false, nextOpen: null };
+
+  const closed = !scheduleOpenAt(now, sched);
+  return { closed, nextOpen: closed ? nextOpening(now, sched) : null };
+}
+
+// --- 25. 消息 ID 映射（话题消息 ⇄ 私聊消息） ---
+// direction: in = 用户 → 话题（admin_msg_id 为话题内转发副本）；out = 管理员 → 用户（user_msg_id 为用户侧副本）
+async function saveMsgMap(env, uid, userMsgId, adminMsgId, direction) {
+  await tryRun(env, "INSERT OR REPLACE INTO msg_map (admin_msg_id, user_id, user_msg_id, direction, ts) VALUES (?,?,?,?,?)", [
+    adminMsgId,
+    uid.toString(),
+    userMsgId,
+    direction,
+    Date.now()
+  ]);
+}
+
+async function getMsgMapByAdmin(env, adminMsgId) {
+  return sql(env, "SELECT * FROM msg_map WHERE admin_msg_id = ?", adminMsgId, "first");
+}
+
+async function getMsgMapByUser(env, uid, userMsgId) {
+  return sql(env, "SELECT * FROM msg_map WHERE user_id = ? AND user_msg_id = ? ORDER BY ts DESC LIMIT 1", [uid.toString(), userMsgId], "first");
+}
+
+// --- 26. 管理员命令（私聊 / 管理群通用） ---
+// 返回 true 表示已作为命令处理（话题内不再转发给用户）
+async function handleAdminCommand(msg, env) {
+  const m = /^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec((msg.text || "").trim());
+  if (!m) return false;
+  const cmd = m[1].toLowerCase();
+  const args = (m[2] || "").trim();
+
+  const cap = COMMAND_CAPS[cmd];
+  if (!cap) return false;
+  if (!(await can(msg.from.id, cap, env))) {
+    await replyHere(env, msg, `❌ 无权限（${CAPS[cap]}）`);
+    return true;
+  }
+
+  if (cmd === "search") {
+    await handleSearchCommand(msg, args, env);
+    return true;
+  }
+  if (cmd === "ban" || cmd === "unban") {
+    await handleBanCommand(msg, cmd, args, env);
+    return true;
+  }
+  if (cmd === "audit") {
+    await handleAuditCommand(msg, args, env);
+    return true;
+  }
+  if (cmd === "export") {
+    await handleExportCommand(msg, args, env);
+    return true;
+  }
+  if (cmd === "mine") {
+    await handleMineCommand(msg, env);
+    return true;
+  }
+  if (cmd === "stats") {
+    await handleStatsCommand(msg, args, env);
+    return true;
+  }
+  if (cmd === "close" || cmd === "reopen") {
+    await handleTicketCommand(msg, cmd, args, env);
+    return true;
+  }
+  return false;
+}
+
+// 在命令所在的聊天 / 话题内回复
+const replyHere = (env, msg, text, extra = {}) =>
+  api(env.BOT_TOKEN, "sendMessage", { chat_id: msg.chat.id, message_thread_id: msg.message_thread_id, text, ...extra }).catch(() => {});
+
+// --- 27. 会话检索（/search） ---
+// /search <关键词...> [@用户名|用户ID] [7d|2026-01-01]
+function parseSearchArgs(args) {
+  const all = (args || "").split(/\s+/).filter(Boolean);
+  // #标签 可出现在任意位置，按用户标签过滤（需同时具备）
+  const tags = all.filter(t => /^#\S+$/.test(t)).map(normTag).filter(Boolean);
+  const tokens = all.filter(t => !/^#\S+$/.test(t));
+  let since = 0,
+    user = "";
+
+  if (tokens.length > 1) {
+    const t = tokens[tokens.length - 1];
+    const dur = parseDuration(t);
+    if (dur) since = Date.now() - dur;
+    else if (/^\d{4}-\d{2}-\d{2}$/.test(t) && Number.isFinite(Date.parse(`${t}T00:00:00Z`))) since = Date.parse(`${t}T00:00:00Z`);
+    if (since) tokens.pop();
+  }
+  if (tokens.length > 1 && /^(@\w{3,}|\d{5,})$/.test(tokens[tokens.length - 1])) user = tokens.pop();
+
+  return { terms: tokens.join(" "), user, tags, since: since ? Math.floor(since / 1000) : 0 };
+}
+
+async function handleSearchCommand(msg, args, env) {
+  const parsed = parseSearchArgs(args);
+  if (!parsed.terms) {
+    return replyHere(env, msg, "用法：/search <关键词> [#标签] [@用户名|用户ID] [时间]\n示例：/search 退款 #vip 7d\n时间支持 12h / 7d / 2w 或 2026-01-01");
+  }
+
+  let uid = "";
+  if (parsed.user.startsWith("@")) {
+    const row = await sql(
+      env,
+      "SELECT user_id FROM users WHERE json_valid(user_info_json) AND lower(json_extract(user_info_json, '$.username')) = ?",
+      parsed.user.slice(1).toLowerCase(),
+      "first"
+    );
+    if (!row) return replyHere(env, msg, `❌ 未找到用户 ${parsed.user}`);
+    uid = row.user_id;
+  } else if (parsed.user) {
+    uid = parsed.user;
+  }
+
+  const state = { terms: parsed.terms, uid, tags: parsed.tags, since: parsed.since };
+  await setUiState(env, `search:${msg.from.id}`, state);
+
+  const page = await renderSearchPage(env, state, 0);
+  return replyHere(env, msg, page.text, { parse_mode: "HTML", reply_markup: page.kb });
+}
+
+// 片段高亮标记（先转义再替换为 <b>）
+const HL_OPEN = "\u0002";
+const HL_CLOSE = "\u0003";
+
+async function searchMessages(env, state, limit, offset) {
+  const terms = state.terms.split(/\s+/).filter(Boolean);
+  const tagF = tagFilterSql("u.user_info_json", state.tags);
+  const filterSql = `AND (? = '' OR m.user_id = ?) AND m.date >= ?${tagF.sql}`;
+  const filterArgs = [state.uid, state.uid, state.since, ...tagF.args];
+  const joins = `LEFT JOIN users u ON u.user_id = m.user_id
+    LEFT JOIN msg_map mm ON mm.user_id = m.user_id AND mm.user_msg_id = m.message_id`;
+  const cols = "m.user_id, m.message_id, m.date, m.direction, u.topic_id, u.user_info_json, mm.admin_msg_id";
+
+  // trigram 分词要求每个词至少 3 个字符；更短的词走 LIKE
+  if (terms.every(t => [...t].length >= 3)) {
+    const match = terms.map(t => `"${t.replace(/"/g, '""')}"`).join(" AND ");
+    const from = `FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid ${joins}
+      WHERE messages_fts MATCH ? ${filterSql}`;
+    const cnt = await sql(env, `SELECT COUNT(*) AS c ${from}`, [match, ...filterArgs], "first");
+    if (cnt) {
+      const rows = await sql(
+        env,
+        `SELECT ${cols}, snippet(messages_fts, 0, char(2), char(3), '…', ${Math.floor(SEARCH_SNIPPET_LEN / 3)}) AS snip
+         ${from} ORDER BY rank LIMIT ? OFFSET ?`,
+        [match, ...filterArgs, limit, offset],
+        "all"
+      );
+      return { total: Number(cnt.c || 0), rows: rows?.results || [] };
+    }
+  }
+
+  const likeSql = terms.map(() => "m.text LIKE ? ESCAPE '\\'").join(" AND ");
+  const likeArgs = terms.map(t => `%${t.replace(/[\\%_]/g, c => "\\" + c)}%`);
+  const from = `FROM messages m ${joins} WHERE ${likeSql} ${filterSql}`;
+  const cnt = await sql(env, `SELECT COUNT(*) AS c ${from}`, [...likeArgs, ...filterArgs], "first");
+  const rows = await sql(env, `SELECT ${cols}, m.text ${from} ORDER BY m.date DESC LIMIT ? OFFSET ?`, [...likeArgs, ...filterArgs, limit, offset], "all");
+  return {
+    total: Number(cnt?.c || 0),
+    rows: (rows?.results || []).map(r => ({ ...r, snip: makeSnippet(r.text, terms) }))
+  };
+}
+
+function makeSnippet(text, terms) {
+  const t = (text || "").toString();
+  const lower = t.toLowerCase();
+  const idx = Math.max(0, Math.min(...terms.map(w => lower.indexOf(w.toLowerCase())).filter(i => i >= 0)));
+  const start = Math.max(0, idx - Math.floor(SEARCH_SNIPPET_LEN / 3));
+  let s = t.slice(start, start + SEARCH_SNIPPET_LEN);
+  for (const w of terms) {
+    s = s.replace(new RegExp(w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi"), m => HL_OPEN + m + HL_CLOSE);
+  }
+  return (start > 0 ? "…" : "") + s + (start + SEARCH_SNIPPET_LEN < t.length ? "…" : "");
+}
+
+async function renderSearchPage(env, state, page) {
+  const { total, rows } = await searchMessages(env, state, SEARCH_PAGE_SIZE, page * SEARCH_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(total / SEARCH_PAGE_SIZE));
+  const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
+
+  let text = `🔍 <b>搜索:</b> ${escapeHTML(state.terms)}`;
+  if (state.uid) text += ` · 🆔 <code>${escapeHTML(state.uid)}</code>`;
+  if (state.tags?.length) text += ` · 🏷 ${escapeHTML(fmtTags(state.tags))}`;
+  if (state.since) text += ` · 自 ${escapeHTML(fmtTime(state.since * 1000))}`;
+  text += `\n共 ${total} 条 · 第 ${Math.min(page + 1, pages)}/${pages} 页`;
+  if (!rows.length) text += "\n\n(无结果)";
+
+  const links = [];
+  rows.forEach((r, i) => {
+    const n = page * SEARCH_PAGE_SIZE + i + 1;
+    const name = safeParse(r.user_info_json || "{}", {}).name || r.user_id;
+    const snip = escapeHTML(r.snip || "").split(HL_OPEN).join("<b>").split(HL_CLOSE).join("</b>");
+    const who = r.direction === "out" ? "👮 回复" : "👤";
+    text += `\n\n${n}. ${who} <b>${escapeHTML(name)}</b> <code>${escapeHTML(r.user_id)}</code> · ${escapeHTML(fmtTime(r.date * 1000))}\n${snip}`;
+    if (r.topic_id) {
+      links.push({ text: `${n}. ${name}`.substring(0, 32), url: `https://t.me/c/${gid}/${r.topic_id}${r.admin_msg_id ? `/${r.admin_msg_id}` : ""}` });
+    }
+  });
+
+  const kb = [];
+  for (let i = 0; i < links.length; i += 2) kb.push(links.slice(i, i + 2));
+  const nav = [];
+  if (page > 0) nav.push({ text: "◀️ 上一页", callback_data: `search:${page - 1}` });
+  if (page + 1 < pages) nav.push({ text: "下一页 ▶️", callback_data: `search:${page + 1}` });
+  if (nav.length) kb.push(nav);
+
+  return { text, kb: { inline_keyboard: kb } };
+}
+
+// --- 28. 会话导出（/export） ---
+const EXPORT_FORMATS = {
+  txt: { type: "text/plain; charset=utf-8", build: buildExportTxt },
+  json: { type: "application/json; charset=utf-8", build: buildExportJson },
+  html: { type: "text/html; charset=utf-8", build: buildExportHtml }
+};
+
+async function handleExportCommand(msg, args, env) {
+  const parts = args.split(/\s+/).filter(Boolean);
+  let target = parts[0] && /^\d+$/.test(parts[0]) ? parts.shift() : "";
+  const format = (parts[0] || "txt").toLowerCase();
+
+  // 在用户话题内可省略 user_id
+  if (!target && msg.message_thread_id) {
+    target = (await sql(env, "SELECT user_id FROM users WHERE topic_id = ?", msg.message_thread_id.toString(), "first"))?.user_id || "";
+  }
+  if (!target || !EXPORT_FORMATS[format]) {
+    return replyHere(env, msg, "用法：/export <user_id> [txt|json|html]\n示例：/export 123456789 html");
+  }
+
+  const row = await sql(env, "SELECT * FROM users WHERE user_id = ?", target, "first");
+  if (!row) return replyHere(env, msg, `❌ 用户 ${target} 不存在`);
+  const u = { ...row, is_blocked: !!row.is_blocked, user_info: safeParse(row.user_info_json, {}) };
+
+  const res = await sql(
+    env,
+    "SELECT message_id, text, date, direction, sender_id FROM messages WHERE user_id = ? ORDER BY date, CAST(message_id AS INTEGER)",
+    target,
+    "all"
+  );
+  const data = {
+    u,
+    meta: getUMeta({ id: target, first_name: u.user_info.name || "User", username: u.user_info.username }, u, u.user_info.join_date || Date.now() / 1000),
+    messages: res?.results || [],
+    adminNames: Object.fromEntries(Object.entries(await getAdminProfiles(env)).map(([id, p]) => [id, p?.name || ""])),
+    exportedAt: Date.now()
+  };
+
+  const fmt = EXPORT_FORMATS[format];
+  const day = new Date(data.exportedAt).toISOString().slice(0, 10).replace(/-/g, "");
+  try {
+    await apiUpload(
+      env.BOT_TOKEN,
+      "sendDocument",
+      {
+        chat_id: msg.chat.id,
+        message_thread_id: msg.message_thread_id,
+        caption: `📄 会话导出 ${data.meta.name} (${target})\n共 ${data.messages.length} 条 · 仅包含近 ${MESSAGES_TTL_DAYS} 天的文字记录`
+      },
+      { field: "document", name: `chat_${target}_${day}.${format}`, type: fmt.type, content: fmt.build(data) }
+    );
+  } catch (e) {
+    return replyHere(env, msg, `❌ 导出失败: ${e.message}`);
+  }
+}
+
+const htmlToText = h =>
+  (h || "")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const exportSender = (m, names = {}) => (m.direction === "out" ? `管理员 ${names[m.sender_id] || m.sender_id || ""}`.trim() : "用户");
+
+function buildExportTxt({ meta, messages, adminNames, exportedAt }) {
+  const lines = [`会话导出 - ${meta.name} (${meta.userId})`, `导出时间: ${fmtTime(exportedAt)}`, "=".repeat(32), htmlToText(meta.card), "=".repeat(32)];
+  for (const m of messages) lines.push(`[${fmtTime(m.date * 1000)}] ${exportSender(m, adminNames)}: ${m.text}`);
+  return lines.join("\n") + "\n";
+}
+
+function buildExportJson({ u, meta, messages, adminNames, exportedAt }) {
+  return JSON.stringify(
+    {
+      user: {
+        id: meta.userId,
+        name: meta.name,
+        username: u.user_info.username || null,
+        state: u.user_state,
+        blocked: u.is_blocked,
+        note: u.user_info.note || null,
+        topic_id: u.topic_id || null,
+        join_date: u.user_info.join_date || null
+      },
+      exported_at: new Date(exportedAt).toISOString(),
+      messages: messages.map(m => ({
+        message_id: Number(m.message_id),
+        date: new Date(m.date * 1000).toISOString(),
+        from: m.direction === "out" ? "admin" : "user",
+        admin_id: m.direction === "out" ? m.sender_id || null : undefined,
+        admin_name: m.direction === "out" ? adminNames[m.sender_id] || null : undefined,
+        text: m.text
+      }))
+    },
+    null,
+    2
+  );
+}
+
+function buildExportHtml({ meta, messages, adminNames, exportedAt }) {
+  const rows = messages
+    .map(
+      m => `<div class="m ${m.direction === "out" ? "out" : "in"}"><div class="h">${escapeHTML(exportSender(m, adminNames))} · ${escapeHTML(
+        fmtTime(m.date * 1000)
+      )}</div><div class="t">${escapeHTML(m.text)}</div></div>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>会话导出 ${escapeHTML(meta.name)} (${escapeHTML(meta.userId)})</title>
+<style>body{font-family:sans-serif;background:#f4f4f5;margin:0;padding:16px;color:#222}
+.card{background:#fff;border-radius:8px;padding:12px 16px;margin-bottom:16px;white-space:pre-line}
+.m{max-width:75%;margin:6px 0;padding:8px 12px;border-radius:10px;background:#fff;clear:both}
+.m.in{float:left}.m.out{float:right;background:#dcf8c6}
+.h{font-size:12px;color:#888;margin-bottom:4px}.t{white-space:pre-wrap;word-break:break-word}
+.f{clear:both;text-align:center;color:#999;font-size:12px;padding-top:16px}
+</style></head><body>
+<div class="card">${meta.card.replace(/\n/g, "<br>")}<br>导出时间: ${escapeHTML(fmtTime(exportedAt))}</div>
+${rows || '<div class="f">(无记录)</div>'}
+<div class="f">共 ${messages.length} 条</div>
+</body></html>`;
+}
+
+// --- 29. 群发（Broadcast） ---
+// 目标分组（屏蔽用户始终排除）；active 以 last_seen（最近一次成功转发时间）判断，起点固定为任务创建时间
+// 分组默认只含已验证用户；unblocked 是唯一包含未通过验证用户的分组，需在面板中显式选择
+const BROADCAST_SEGMENTS = {
+  verified: { label: "已验证用户", where: "user_state='verified' AND is_blocked=0" },
+  unblocked: { label: "⚠️ 全部未屏蔽用户（含未验证）", where: "is_blocked=0" },
+  noted: {
+    label: "有备注的已验证用户",
+    where: "user_state='verified' AND is_blocked=0 AND json_valid(user_info_json) AND COALESCE(json_extract(user_info_json, '$.note'), '') <> ''"
+  },
+  active: { label: "近 N 天活跃的已验证用户", where: "user_state='verified' AND is_blocked=0 AND last_seen >= ?", days: true }
+};
+const BROADCAST_SEG_ORDER = Object.keys(BROADCAST_SEGMENTS);
+
+function broadcastSegment(segment, days, baseTs = Date.now()) {
+  const seg = BROADCAST_SEGMENTS[segment] || BROADCAST_SEGMENTS.verified;
+  return {
+    label: seg.days ? seg.label.replace("N", days) : seg.label,
+    where: seg.where,
+    args: seg.days ? [baseTs - days * 86400000] : []
+  };
+}
+
+async function getBroadcastDraft(env) {
+  const d = safeParse(await getCfg("broadcast_draft", env), {});
+  return { chat_id: "", message_id: 0, buttons: [], segment: "verified", days: 7, ...(d && typeof d === "object" ? d : {}) };
+}
+
+async function saveBroadcastDraft(env, patch) {
+  const d = await getBroadcastDraft(env);
+  await setCfg("broadcast_draft", JSON.stringify({ ...d, ...patch }), env);
+}
+
+async function countSegment(env, segment, days) {
+  const seg = broadcastSegment(segment, days);
+  const row = await sql(env, `SELECT COUNT(*) AS c FROM users WHERE ${seg.where}`, seg.args, "first");
+  return Number(row?.c || 0);
+}
+
+// "文字 - https://链接 | 文字2 - https://链接2" 每行一排
+function parseBroadcastButtons(txt) {
+  const rows = [];
+  for (const line of (txt || "").split(/\n/).map(l => l.trim()).filter(Boolean)) {
+    const row = [];
+    for (const item of line.split("|").map(x => x.trim()).filter(Boolean)) {
+      const i = item.lastIndexOf(" - ");
+      const text = i > 0 ? item.slice(0, i).trim() : "";
+      const url = i > 0 ? item.slice(i + 3).trim() : "";
+      if (!text || !/^(https?:\/\/|tg:\/\/)\S+$/i.test(url)) return null;
+      row.push({ text, url });
+    }
+    if (row.length) rows.push(row);
+  }
+  return rows.length ? rows : null;
+}
+
+async function renderBroadcastPanel(render, env) {
+  const d = await getBroadcastDraft(env);
+  const seg = broadcastSegment(d.segment, d.days);
+  const count = await countSegment(env, d.segment, d.days);
+  const running = await sql(env, "SELECT * FROM broadcasts WHERE status='running' ORDER BY id LIMIT 1", [], "first");
+  const btnCount = d.buttons.flat().length;
+  const nextSeg = BROADCAST_SEG_ORDER[(BROADCAST_SEG_ORDER.indexOf(d.segment) + 1) % BROADCAST_SEG_ORDER.length];
+
+  let text = `📣 <b>群发</b>\n消息: ${d.message_id ? "✅ 已撰写" : "❌ 未撰写"}\n按钮: ${btnCount ? `${btnCount} 个` : "无"}\n目标: ${escapeHTML(seg.label)} (${count} 人)`;
+  if (running) text += `\n\n⏳ 任务 #${running.id} 进行中: ${running.sent + running.failed + running.blocked}/${running.total}`;
+
+  return render(text, {
+    inline_keyboard: [
+      [{ text: "✏️ 撰写消息", callback_data: "config:edit:bc_msg" }, { text: "🔘 设置按钮", callback_data: "config:edit:bc_buttons" }],
+      [{ text: `🎯 ${seg.label} (切换)`, callback_data: `config:bc:seg:${nextSeg}` }, { text: `📅 活跃天数: ${d.days}`, callback_data: "config:edit:bc_days" }],
+      [{ text: "👁 预览", callback_data: "config:bc:preview" }, { text: "🚀 开始发送", callback_data: "config:bc:start" }],
+      [{ text: "🔙 返回", callback_data: "config:menu" }]
+    ]
+  });
+}
+
+async function handleBroadcastPanel(cid, mid, action, val, render, env) {
+  const d = await getBroadcastDraft(env);
+  const backKb = { inline_keyboard: [[{ text: "🔙 返回", callback_data: "config:menu:bc" }]] };
+
+  if (action === "seg") {
+    if (BROADCAST_SEGMENTS[val]) await saveBroadcastDraft(env, { segment: val });
+    return renderBroadcastPanel(render, env);
+  }
+
+  if (!d.message_id) return render("❌ 请先撰写群发消息", backKb);
+  const seg = broadcastSegment(d.segment, d.days);
+  const count = await countSegment(env, d.segment, d.days);
+
+  if (action === "preview") {
+    try {
+      await api(env.BOT_TOKEN, "copyMessage", {
+        chat_id: cid,
+        from_chat_id: d.chat_id,
+        message_id: d.message_id,
+        reply_markup: d.buttons.length ? { inline_keyboard: d.buttons } : undefined
+      });
+    } catch {
+      return render("❌ 预览失败，草稿消息可能已被删除，请重新撰写", backKb);
+    }
+    return api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: cid,
+      text: `👁 以上为群发预览\n目标: ${escapeHTML(seg.label)} (${count} 人)`,
+      parse_mode: "HTML",
+      reply_markup: { inline_keyboard: [[{ text: "🚀 开始发送", callback_data: "config:bc:start" }, { text: "🔙 返回", callback_data: "config:menu:bc" }]] }
+    });
+  }
+
+  if (action === "start") {
+    return render(`⚠️ 确认向 <b>${escapeHTML(seg.label)}</b> 共 ${count} 人发送群发消息？`, {
+      inline_keyboard: [[{ text: "✅ 确认发送", callback_data: "config:bc:go" }, { text: "🔙 返回", callback_data: "config:menu:bc" }]]
+    });
+  }
+
+  if (action === "go") {
+    const running = await sql(env, "SELECT id FROM broadcasts WHERE status='running' LIMIT 1", [], "first");
+    if (running) return render(`❌ 任务 #${running.id} 仍在进行中，请等待完成或取消`, backKb);
+    if (!count) return render("❌ 目标分组内没有用户", backKb);
+
+    const now = Date.now();
+    const row = await sql(
+      env,
+      `INSERT INTO broadcasts (status, src_chat_id, src_msg_id, buttons_json, segment, seg_days, total, created_by, card_chat_id, card_msg_id, created_at, updated_at)
+       VALUES ('running', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+      [d.chat_id.toString(), d.message_id, JSON.stringify(d.buttons), d.segment, d.days, count, cid.toString(), cid.toString(), mid, now, now],
+      "first"
+    );
+    await audit(env, cid, "broadcast", `#${row.id}`, null, { segment: d.segment, days: d.days || undefined, total: count });
+    await updateBroadcastCard(env, row.id);
+    // 首批立即发送，其余由 Cron 每分钟推进
+    return runBroadcastBatch(env);
+  }
+}
+
+async function handleBroadcastInput(id, msg, state, env) {
+  const txt = (msg.text || "").trim();
+  const fail = text => api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text });
+
+  if (state.key === "bc_msg") {
+    await saveBroadcastDraft(env, { chat_id: id.toString(), message_id: msg.message_id });
+  } else if (state.key === "bc_buttons") {
+    const buttons = txt === "/clear" ? [] : parseBroadcastButtons(txt);
+    if (!buttons) return fail("❌ 格式错误，每行：按钮文字 - https://链接，同一排多个用 | 分隔 (/cancel 取消)");
+    await saveBroadcastDraft(env, { buttons });
+  } else if (state.key === "bc_days") {
+    const days = parseInt(txt, 10);
+    if (!(days >= 1 && days <= 365)) return fail("❌ 请输入 1-365 之间的天数 (/cancel 取消)");
+    await saveBroadcastDraft(env, { days, segment: "active" });
+  }
+
+  await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
+  return handleAdminConfig(id, null, "menu", "bc", null, env);
+}
+
+// 处理一批收件人：租约防止 Cron 与面板触发并发执行；每条发送后立即持久化游标与计数，实例重启可续传
+async function runBroadcastBatch(env) {
+  const bc = await sql(env, "SELECT * FROM broadcasts WHERE status='running' ORDER BY id LIMIT 1", [], "first");
+  if (!bc) return;
+
+  const now = Date.now();
+  const lease = await tryRun(env, "UPDATE broadcasts SET lease_until=? WHERE id=? AND status='running' AND lease_until < ?", [
+    now + BROADCAST_LEASE_MS,
+    bc.id,
+    now
+  ]);
+  if ((lease?.meta?.changes ?? lease?.changes ?? 0) !== 1) return;
+
+  const seg = broadcastSegment(bc.segment, bc.seg_days, bc.created_at);
+  const res = await sql(
+    env,
+    `SELECT user_id FROM users WHERE ${seg.where} AND user_id > ? ORDER BY user_id LIMIT ?`,
+    [...seg.args, bc.cursor || "", BROADCAST_BATCH_SIZE],
+    "all"
+  );
+  const list = res?.results || [];
+  const buttons = safeParse(bc.buttons_json, []);
+  const replyMarkup = Array.isArray(buttons) && buttons.length ? { inline_keyboard: buttons } : undefined;
+
+  for (let i = 0; i < list.length; i++) {
+    if (i && i % 10 === 0) {
+      const st = await sql(env, "SELECT status FROM broadcasts WHERE id=?", bc.id, "first");
+      if (st?.status !== "running") break;
+    }
+
+    const uid = list[i].user_id;
+    let col = "sent";
+    try {
+      await api(
+        env.BOT_TOKEN,
+        "copyMessage",
+        { chat_id: uid, from_chat_id: bc.src_chat_id, message_id: bc.src_msg_id, reply_markup: replyMarkup },
+        { failFast: true }
+      );
+    } catch (e) {
+      col = /blocked|deactivated|chat not found|kicked/i.test(e?.message || "") ? "blocked" : "failed";
+    }
+    await tryRun(env, `UPDATE broadcasts SET ${col}=${col}+1, cursor=?, updated_at=? WHERE id=?`, [uid, Date.now(), bc.id]);
+    await sleep(BROADCAST_SEND_INTERVAL_MS);
+  }
+
+  const finished = list.length < BROADCAST_BATCH_SIZE;
+  // 分组为实时查询，期间新进入分组的用户也会收到：总数按已处理 + 剩余人数重算，进度不会超过 100%
+  let left = 0;
+  if (!finished) {
+    const cur = (await sql(env, "SELECT cursor FROM broadcasts WHERE id=?", bc.id, "first"))?.cursor || "";
+    left = Number((await sql(env, `SELECT COUNT(*) AS c FROM users WHERE ${seg.where} AND user_id > ?`, [...seg.args, cur], "first"))?.c || 0);
+  }
+  await tryRun(
+    env,
+    `UPDATE broadcasts SET lease_until=0, total=sent+failed+blocked+?, updated_at=?${
+      finished ? ", status=CASE WHEN status='running' THEN 'done' ELSE status END" : ""
+    } WHERE id=?`,
+    [left, Date.now(), bc.id]
+  );
+  const final = await updateBroadcastCard(env, bc.id);
+
+  if (final?.status === "done" && finished) {
+    api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: final.card_chat_id,
+      text: `📊 <b>群发 #${final.id} 完成报告</b>\n共 ${final.total} 人\n✅ 送达 ${final.sent}\n❌ 失败 ${final.failed}\n🚫 已停用/拉黑 ${final.blocked}`,
+      parse_mode: "HTML"
+    }).catch(() => {});
+  }
+}
+
+async function updateBroadcastCard(env, id) {
+  const bc = await sql(env, "SELECT * FROM broadcasts WHERE id=?", id, "first");
+  if (!bc) return null;
+  if (!bc.card_msg_id) return bc;
+
+  const seg = broadcastSegment(bc.segment, bc.seg_days, bc.created_at);
+  const done = bc.sent + bc.failed + bc.blocked;
+  const pct = bc.total ? Math.min(100, Math.floor((done * 100) / bc.total)) : 100;
+  const statusText = { running: "⏳ 发送中", done: "✅ 已完成", cancelled: "⏹ 已取消" }[bc.status] || bc.status;
+
+  await api(env.BOT_TOKEN, "editMessageText", {
+    chat_id: bc.card_chat_id,
+    message_id: bc.card_msg_id,
+    text:
+      `📣 <b>群发 #${bc.id}</b> · ${statusText}\n目标: ${escapeHTML(seg.label)} · 共 ${bc.total} 人\n` +
+      `进度: ${done}/${bc.total} (${pct}%)\n✅ 送达 ${bc.sent} · ❌ 失败 ${bc.failed} · 🚫 已停用 ${bc.blocked}`,
+    parse_mode: "HTML",
+    reply_markup: {
+      inline_keyboard:
+        bc.status === "running" ? [[{ text: "⏹ 取消", callback_data: `bc:cancel:${bc.id}` }]] : [[{ text: "🔙 群发面板", callback_data: "config:menu:bc" }]]
+    }
+  }).catch(() => {});
+  return bc;
+}
+
+// --- 30. 多语言（i18n） ---
+// 用户侧文案目录：按消息 ID 取值，{var} 为占位符；新增语言只需补充一个目录
+const I18N = {
+  zh: {
+    blocked: "🚫 您已被管理员屏蔽，无法发送消息。如有误判请联系管理员解除。",
+    blocked_start: "🚫 您已被管理员屏蔽，无法使用本 Bot。",
+    rate_limited: "⏳ 请求过于频繁，请稍后再试。",
+    reset_verify: "⚠️ 管理员要求您重新验证。\n请发送 /start 重新完成验证流程。",
+    session_connected: "✅ <b>会话已连接</b>\n您可以直接发送消息，管理员会收到。",
+    verified: "✅ 已验证。\n请直接发送消息以联系管理员。",
+    verify_prompt: "🛡️ <b>安全验证</b>\n请点击下方按钮完成人机验证以继续。",
+    verify_button: "点击进行验证",
+    qa_prompt: "❓ <b>安全提问</b>\n{question}",
+    verify_passed: "✅ 验证通过！\n请直接发送消息以联系管理员。",
+    verify_passed_qa: "✅ 验证通过！\n请继续回答：\n{question}",
+    wrong_answer: "❌ 错误",
+    kw_warn: "⚠️ 含有违禁词，请勿发送 ({count}/{max})",
+    kw_banned: "❌ 您已被系统自动封禁",
+    type_rejected: "⚠️ 系统不接收 {type}",
+    session_expired: "⚠️ 会话已过期，请重发",
+    chal_math: "🧮 <b>安全验证</b>\n请点击正确答案：<b>{expr} = ?</b>",
+    chal_emoji: "👆 <b>安全验证</b>\n请点击与 {emoji} 相同的表情",
+    chal_wrong: "❌ 答案错误，已更换题目",
+    chal_expired: "⌛ 验证已过期，已重新出题",
+    chal_next: "✅ 回答正确，请再完成一题",
+    verify_left: "还可尝试 {left} 次",
+    blocked_until: "🚫 您正处于限时屏蔽中，消息未送达，屏蔽将于 {until} 自动解除。",
+    ban_timed: "🚫 您已被管理员暂时屏蔽，将于 {until} 自动解除。",
+    ban_reason: "原因：{reason}",
+    ban_expired: "✅ 屏蔽已到期解除，您可以继续发送消息。",
+    verify_cooldown: "⏳ 验证失败次数过多，请 {wait} 后再试",
+    verify_blocked: "🚫 验证失败次数过多，您已被自动屏蔽",
+    page_title: "🛡️ 安全验证",
+    page_wait: "请稍候…",
+    page_failed: "❌ 验证失败，请重试",
+    page_error: "网络错误，请重试",
+    next_open_today: "今天 {time}",
+    next_open_tomorrow: "明天 {time}",
+    next_open_date: "{date} {weekday} {time}"
+  },
+  en: {
+    blocked: "🚫 You have been blocked by the admin and cannot send messages. Contact the admin if you think this is a mistake.",
+    blocked_start: "🚫 You have been blocked by the admin and cannot use this bot.",
+    rate_limited: "⏳ Too many requests, please try again later.",
+    reset_verify: "⚠️ The admin has asked you to verify again.\nSend /start to restart verification.",
+    session_connected: "✅ <b>Connected</b>\nJust send your message here and the admin will receive it.",
+    verified: "✅ Verified.\nJust send a message to contact the admin.",
+    verify_prompt: "🛡️ <b>Security check</b>\nTap the button below to complete the captcha and continue.",
+    verify_button: "Verify",
+    qa_prompt: "❓ <b>Security question</b>\n{question}",
+    verify_passed: "✅ Verification passed!\nJust send a message to contact the admin.",
+    verify_passed_qa: "✅ Verification passed!\nPlease answer the question:\n{question}",
+    wrong_answer: "❌ Wrong answer",
+    kw_warn: "⚠️ Your message contains a banned word, please don't send it ({count}/{max})",
+    kw_banned: "❌ You have been blocked automatically",
+    type_rejected: "⚠️ {type} messages are not accepted",
+    session_expired: "⚠️ The session has expired, please send your message again",
+    chal_math: "🧮 <b>Security check</b>\nTap the correct answer: <b>{expr} = ?</b>",
+    chal_emoji: "👆 <b>Security check</b>\nTap the emoji that matches {emoji}",
+    chal_wrong: "❌ Wrong answer, here is a new challenge",
+    chal_expired: "⌛ The challenge has expired, here is a new one",
+    chal_next: "✅ Correct, please solve one more",
+    verify_left: "{left} attempts left",
+    blocked_until: "🚫 You are temporarily blocked and your message was not delivered. The block ends at {until}.",
+    ban_timed: "🚫 You have been temporarily blocked by the admin until {until}.",
+    ban_reason: "Reason: {reason}",
+    ban_expired: "✅ Your block has expired, you can send messages again.",
+    verify_cooldown: "⏳ Too many failed attempts, please try again in {wait}",
+    verify_blocked: "🚫 Too many failed attempts, you have been blocked automatically",
+    page_title: "🛡️ Security check",
+    page_wait: "Please wait…",
+    page_failed: "❌ Verification failed, please try again",
+    page_error: "Network error, please try again",
+    next_open_today: "today at {time}",
+    next_open_tomorrow: "tomorrow at {time}",
+    next_open_date: "{weekday} {date} at {time}"
+  },
+  ru: {
+    blocked: "🚫 Администратор заблокировал вас, отправка сообщений недоступна. Если это ошибка, свяжитесь с администратором.",
+    blocked_start: "🚫 Администратор заблокировал вас, пользоваться ботом нельзя.",
+    rate_limited: "⏳ Слишком много запросов, попробуйте позже.",
+    reset_verify: "⚠️ Администратор попросил вас пройти проверку заново.\nОтправьте /start, чтобы начать проверку.",
+    session_connected: "✅ <b>Соединение установлено</b>\nПросто отправьте сообщение, и администратор его получит.",
+    verified: "✅ Проверка пройдена.\nПросто отправьте сообщение, чтобы связаться с администратором.",
+    verify_prompt: "🛡️ <b>Проверка безопасности</b>\nНажмите кнопку ниже и пройдите капчу, чтобы продолжить.",
+    verify_button: "Пройти проверку",
+    qa_prompt: "❓ <b>Контрольный вопрос</b>\n{question}",
+    verify_passed: "✅ Проверка пройдена!\nПросто отправьте сообщение, чтобы связаться с администратором.",
+    verify_passed_qa: "✅ Проверка пройдена!\nОтветьте на вопрос:\n{question}",
+    wrong_answer: "❌ Неверный ответ",
+    kw_warn: "⚠️ Сообщение содержит запрещённое слово, не отправляйте его ({count}/{max})",
+    kw_banned: "❌ Вы автоматически заблокированы",
+    type_rejected: "⚠️ Сообщения типа «{type}» не принимаются",
+    session_expired: "⚠️ Сеанс истёк, отправьте сообщение ещё раз",
+    chal_math: "🧮 <b>Проверка безопасности</b>\nНажмите правильный ответ: <b>{expr} = ?</b>",
+    chal_emoji: "👆 <b>Проверка безопасности</b>\nНажмите такой же эмодзи, как {emoji}",
+    chal_wrong: "❌ Неверно, вот новое задание",
+    chal_expired: "⌛ Время вышло, вот новое задание",
+    chal_next: "✅ Верно, решите ещё одно задание",
+    verify_left: "Осталось попыток: {left}",
+    blocked_until: "🚫 Вы временно заблокированы, сообщение не доставлено. Блокировка закончится {until}.",
+    ban_timed: "🚫 Администратор временно заблокировал вас до {until}.",
+    ban_reason: "Причина: {reason}",
+    ban_expired: "✅ Срок блокировки истёк, вы снова можете отправлять сообщения.",
+    verify_cooldown: "⏳ Слишком много неудачных попыток, повторите через {wait}",
+    verify_blocked: "🚫 Слишком много неудачных попыток, вы автоматически заблокированы",
+    page_title: "🛡️ Проверка безопасности",
+    page_wait: "Подождите…",
+    page_failed: "❌ Проверка не пройдена, попробуйте ещё раз",
+    page_error: "Ошибка сети, попробуйте ещё раз",
+    next_open_today: "сегодня в {time}",
+    next_open_tomorrow: "завтра в {time}",
+    next_open_date: "{weekday}, {date} в {time}"
+  }
+};
+const I18N_LABELS = { zh: "中文", en: "English", ru: "Русский" };
+const I18N_LOCALES = { zh: "zh-CN", en: "en-US", ru: "ru-RU" }; // 用户侧日期时间格式
+
+// language_code 形如 "en"、"zh-hans"、"pt-br"，只取主语言
+const normLang = code => (code || "").toString().toLowerCase().split(/[-_]/)[0];
+
+async function getLang(env, u, from) {
+  const code = normLang(from?.language_code || u?.user_info?.lang);
+  if (I18N[code]) return code;
+  const def = normLang(await getCfg("default_lang", env));
+  return I18N[def] ? def : "zh";
+}
+
+// 记录用户 language_code 与显示名 / 用户名（仅变化时写库），供无 msg 的场景（通知、验证页、资料卡刷新、话题改名）使用
+async function syncUserProfile(u, from, env) {
+  const patch = {};
+  const code = normLang(from?.language_code);
+  if (code && u.user_info.lang !== code) patch.lang = code;
+  const name = ((from?.first_name || "") + " " + (from?.last_name || "")).trim();
+  if (name && u.user_info.name !== name) patch.name = name;
+  if (from?.username && u.user_info.username !== from.username) patch.username = from.username;
+  if (!Object.keys(patch).length) return;
+  Object.assign(u.user_info, patch);
+  await updUser(u.user_id, { user_info: patch }, env);
+}
+
+async function getI18nOverrides(env) {
+  const o = safeParse(await getCfg("i18n_overrides", env), {});
+  return o && typeof o === "object" && !Array.isArray(o) ? o : {};
+}
+
+// 模板按 HTML 发送，变量一律转义；纯文本模板（按钮、验证页）原样替换
+async function tr(env, lang, key, vars = {}) {
+  const o = await getI18nOverrides(env);
+  const raw = o[lang]?.[key] ?? I18N[lang]?.[key] ?? I18N.zh[key] ?? key;
+  const plain = TEMPLATES[key]?.plain;
+  return raw.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : plain ? String(vars[k]) : escapeHTML(String(vars[k]))));
+}
+
+// 绑定用户语言与通用占位符 {name} {id}
+async function userTr(env, u, from) {
+  const lang = await getLang(env, u, from);
+  const base = { name: from?.first_name || u?.user_info?.name || "User", id: u?.user_id ?? "" };
+  const t = (key, vars = {}) => tr(env, lang, key, { ...base, ...vars });
+  t.lang = lang;
+  t.time = async ms => fmtZonedTime(ms, await getTimeZone(env), I18N_LOCALES[lang] || "en-US");
+  return t;
+}
+
+async function renderLangPanel(render, env) {
+  const def = normLang(await getCfg("default_lang", env));
+  const o = await getI18nOverrides(env);
+  const langs = Object.keys(I18N);
+  const mark = l => (l === def ? `✔️ ${I18N_LABELS[l]}` : I18N_LABELS[l]);
+
+  return render(
+    `🌐 <b>多语言</b>\n按用户 Telegram 语言自动选择文案\n默认语言: ${I18N_LABELS[def] || I18N_LABELS.zh}（用户语言不受支持时使用）\n\n` +
+      langs.map(l => `${I18N_LABELS[l]}: 已覆盖 ${Object.keys(o[l] || {}).length} 条`).join("\n"),
+    {
+      inline_keyboard: [
+        langs.map(l => ({ text: mark(l), callback_data: `config:toggle:default_lang:${l}` })),
+        langs.map(l => ({ text: `📄 ${I18N_LABELS[l]} 文案`, callback_data: `config:tpl:${l}` })),
+        [{ text: "🔙 返回", callback_data: "config:menu" }]
+      ]
+    }
+  );
+}
+
+// --- 31. 文案模板（📄 文案） ---
+// 注册表：label 为面板显示名，vars 为该模板额外支持的占位符（{name} {id} 所有模板通用）
+const TEMPLATES = {
+  blocked: { label: "屏蔽提示" },
+  blocked_start: { label: "屏蔽提示 (/start)" },
+  rate_limited: { label: "限流提示" },
+  reset_verify: { label: "要求重新验证" },
+  session_connected: { label: "会话已连接" },
+  verified: { label: "已验证" },
+  verify_prompt: { label: "人机验证提示" },
+  verify_button: { label: "验证按钮文字", plain: true },
+  qa_prompt: { label: "安全提问", vars: ["question"] },
+  verify_passed: { label: "验证通过" },
+  verify_passed_qa: { label: "验证通过 (继续答题)", vars: ["question"] },
+  wrong_answer: { label: "答案错误" },
+  kw_warn: { label: "违禁词警告", vars: ["count", "max"] },
+  kw_banned: { label: "违禁词自动封禁", vars: ["count", "max"] },
+  type_rejected: { label: "类型不接收", vars: ["type"] },
+  session_expired: { label: "会话已过期" },
+  chal_math: { label: "聊天挑战: 算术", vars: ["expr"] },
+  chal_emoji: { label: "聊天挑战: 表情", vars: ["emoji"] },
+  chal_wrong: { label: "聊天挑战: 答错 (弹窗)", plain: true },
+  chal_expired: { label: "聊天挑战: 过期 (弹窗)", plain: true },
+  chal_next: { label: "聊天挑战: 下一题 (弹窗)", plain: true },
+  verify_left: { label: "验证剩余次数", vars: ["left"] },
+  blocked_until: { label: "限时屏蔽中来信提示", vars: ["until"] },
+  ban_timed: { label: "限时屏蔽通知（屏蔽时发送）", vars: ["until"] },
+  ban_reason: { label: "屏蔽原因", vars: ["reason"] },
+  ban_expired: { label: "屏蔽到期解除" },
+  verify_cooldown: { label: "验证冷却中", vars: ["wait"] },
+  verify_blocked: { label: "验证失败自动屏蔽" },
+  page_title: { label: "验证页标题", plain: true },
+  page_wait: { label: "验证页: 请稍候", plain: true },
+  page_failed: { label: "验证页: 失败", plain: true },
+  page_error: { label: "验证页: 网络错误", plain: true },
+  next_open_today: { label: "下次营业: 今天", plain: true, vars: ["time"] },
+  next_open_tomorrow: { label: "下次营业: 明天", plain: true, vars: ["time"] },
+  next_open_date: { label: "下次营业: 日期", plain: true, vars: ["date", "weekday", "time"] }
+};
+
+const tplVars = key => ["name", "id", ...(TEMPLATES[key]?.vars || [])];
+
+// Telegram HTML 子集：https://core.telegram.org/bots/api#html-style
+const TG_HTML_TAGS = new Set(["b", "strong", "i", "em", "u", "ins", "s", "strike", "del", "a", "code", "pre", "span", "tg-spoiler", "tg-emoji", "blockquote"]);
+
+// 返回错误描述，合法时返回 null
+function validateTgHtml(text) {
+  const stack = [];
+  const re = /<(\/?)([a-zA-Z][\w-]*)([^<>]*)>|<|&(?!(?:lt|gt|amp|quot|#\d+|#x[0-9a-f]+);)/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[0] === "<") return "存在未转义的 <，请写作 &lt;";
+    if (m[0] === "&") return "存在未转义的 &，请写作 &amp;";
+    const [, close, rawTag, attrs] = m;
+    const tag = rawTag.toLowerCase();
+    if (!TG_HTML_TAGS.has(tag)) return `不支持的标签 <${tag}>`;
+    if (close) {
+      if (stack.pop() !== tag) return `标签 </${tag}> 未正确配对`;
+      continue;
+    }
+    if (tag === "a" && !/\bhref\s*=\s*"[^"]+"/i.test(attrs)) return "<a> 缺少 href";
+    if (tag === "span" && !/\bclass\s*=\s*"tg-spoiler"/i.test(attrs)) return '<span> 仅支持 class="tg-spoiler"';
+    stack.push(tag);
+  }
+  if (stack.length) return `标签 <${stack.pop()}> 未闭合`;
+  return null;
+}
+
+function validateTemplate(key, text) {
+  const allowed = tplVars(key);
+  const unknown = (text.match(/\{(\w+)\}/g) || []).find(v => !allowed.includes(v.slice(1, -1)));
+  if (unknown) return `未知占位符 ${unknown}，可用: ${allowed.map(v => `{${v}}`).join(" ")}`;
+  return TEMPLATES[key]?.plain ? null : validateTgHtml(text);
+}
+
+async function saveTemplateOverride(env, lang, key, text, actor) {
+  if (!I18N[lang] || !TEMPLATES[key]) return;
+  const o = await getI18nOverrides(env);
+  const cur = { ...(o[lang] || {}) };
+  await audit(env, actor, "template", `${lang}:${key}`, cur[key] ?? null, text);
+  if (text === null) delete cur[key];
+  else cur[key] = text;
+  o[lang] = cur;
+  await setCfg("i18n_overrides", JSON.stringify(o), env);
+}
+
+async function renderTemplateList(render, lang, env) {
+  if (!I18N[lang]) lang = normLang(await getCfg("default_lang", env));
+  if (!I18N[lang]) lang = "zh";
+  const o = (await getI18nOverrides(env))[lang] || {};
+  const keys = Object.keys(TEMPLATES);
+  const rows = [Object.keys(I18N).map(l => ({ text: l === lang ? `✔️ ${I18N_LABELS[l]}` : I18N_LABELS[l], callback_data: `config:tpl:${l}` }))];
+  for (let i = 0; i < keys.length; i += 2) {
+    rows.push(
+      keys.slice(i, i + 2).map(k => ({ text: `${o[k] !== undefined ? "✏️ " : ""}${TEMPLATES[k].label}`, callback_data: `config:tpl_item:${lang}:${k}` }))
+    );
+  }
+  rows.push([{ text: "🔙 返回", callback_data: "config:menu" }]);
+  return render(`📄 <b>文案</b> · ${I18N_LABELS[lang]}\n点击查看或修改，✏️ 表示已自定义\n欢迎语 / 问题 / 休息回复语请在「基础」「营业状态」中修改`, {
+    inline_keyboard: rows
+  });
+}
+
+async function renderTemplateItem(render, lang, key, env) {
+  if (!I18N[lang] || !TEMPLATES[key]) return renderTemplateList(render, lang, env);
+  const custom = (await getI18nOverrides(env))[lang]?.[key];
+  const def = I18N[lang][key] ?? I18N.zh[key];
+  const rows = [[{ text: "✏️ 修改", callback_data: `config:tpl_edit:${lang}:${key}` }]];
+  if (custom !== undefined) rows[0].push({ text: "↩️ 恢复默认", callback_data: `config:tpl_reset:${lang}:${key}` });
+  rows.push([{ text: "🔙 返回", callback_data: `config:tpl:${lang}` }]);
+
+  return render(
+    `📄 <b>${TEMPLATES[key].label}</b> · ${I18N_LABELS[lang]}\n占位符: ${tplVars(key).map(v => `{${v}}`).join(" ")}${TEMPLATES[key].plain ? "\n(纯文本，不支持 HTML)" : ""}` +
+      `\n\n默认:\n<code>${escapeHTML(def)}</code>` +
+      (custom !== undefined ? `\n\n当前 (已自定义):\n<code>${escapeHTML(custom)}</code>` : ""),
+    { inline_keyboard: rows }
+  );
+}
+
+async function promptTemplateEdit(cid, mid, lang, key, env) {
+  if (!I18N[lang] || !TEMPLATES[key]) return;
+  await setCfg(`admin_state:${cid}`, JSON.stringify({ action: "input", key: `tpl:${lang}:${key}` }), env);
+  return api(env.BOT_TOKEN, "editMessageText", {
+    chat_id: cid,
+    message_id: mid,
+    text:
+      `请输入「${TEMPLATES[key].label}」的${I18N_LABELS[lang]}文案 (/cancel 取消，/clear 恢复默认):` +
+      `\n• 占位符: ${tplVars(key).map(v => `{${v}}`).join(" ")}` +
+      (TEMPLATES[key].plain ? "\n• 纯文本" : "\n• 支持 Telegram HTML：&lt;b&gt; &lt;i&gt; &lt;u&gt; &lt;s&gt; &lt;a href&gt; &lt;code&gt; 等") +
+      `\n\n当前:\n<code>${escapeHTML(await tr(env, lang, key))}</code>`,
+    parse_mode: "HTML"
+  });
+}
+
+async function handleTemplateInput(id, msg, state, env) {
+  const [, lang, key] = state.key.split(":");
+  const txt = msg.text || "";
+  const fail = text => api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: `❌ ${text} (/cancel 取消)` });
+  if (!I18N[lang] || !TEMPLATES[key]) {
+    await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
+    return handleAdminConfig(id, null, "tpl", null, null, env);
+  }
+  if (!txt.trim()) return fail("请发送文字");
+
+  const reset = txt.trim() === "/clear";
+  if (!reset) {
+    const err = validateTemplate(key, txt);
+    if (err) return fail(`${err}，请修改后重新发送`);
+  }
+
+  await saveTemplateOverride(env, lang, key, reset ? null : txt, id);
+  await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
+  await api(env.BOT_TOKEN, "sendMessage", {
+    chat_id: id,
+    text: `✅ ${TEMPLATES[key].label} (${I18N_LABELS[lang]}) ${reset ? "已恢复默认" : "已更新"}`
+  }).catch(() => {});
+  return handleAdminConfig(id, null, "tpl_item", lang, key, env);
+}
+
+// --- 32. 验证题库（Q&A） ---
+const QA_OPTS = { ci: "忽略大小写", width: "全/半角等同", ws: "忽略空白" };
+
+async function getQaBank(env) {
+  const l = await getJsonCfg("qa_bank", env);
+  return (Array.isArray(l) ? l : []).filter(i => i && i.q && Array.isArray(i.answers) && i.answers.length);
+}
+
+function parseQaEntry(txt) {
+  const i = txt.indexOf("===");
+  if (i < 0) return null;
+  const q = txt.slice(0, i).trim();
+  const answers = txt
+    .slice(i + 3)
+    .split(/[|\n]/)
+    .map(a => a.trim())
+    .filter(Boolean);
+  if (!q || !answers.length) return null;
+  return { id: Date.now(), q, answers, opts: { ci: true, width: true, ws: true } };
+}
+
+function normAnswer(s, opts = {}) {
+  let v = (s || "").toString();
+  if (opts.width) v = v.normalize("NFKC");
+  v = opts.ws ? v.replace(/\s+/g, "") : v.trim();
+  if (opts.ci) v = v.toLowerCase();
+  return v;
+}
+
+// 题库为空时回退到 verif_q / verif_a（保持旧版精确匹配）
+async function pickQuestion(env) {
+  const bank = await getQaBank(env);
+  if (!bank.length) return { id: "", q: await getCfg("verif_q", env) };
+  return bank[Math.floor(Math.random() * bank.length)];
+}
+
+async function askQuestion(env, uid, t, key = "qa_prompt") {
+  const item = await pickQuestion(env);
+  await updUser(uid, { user_state: "pending_verification", user_info: { qa_id: item.id.toString() } }, env);
+  return api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await t(key, { question: item.q }), parse_mode: "HTML" });
+}
+
+// true/false；所问题目已不存在时返回 null
+async function checkAnswer(env, u, ans) {
+  const qaId = (u.user_info?.qa_id || "").toString();
+  if (!qaId) return ans.trim() === (await getCfg("verif_a", env)).trim();
+  const item = (await getQaBank(env)).find(i => i.id.toString() === qaId);
+  if (!item) return null;
+  const got = normAnswer(ans, item.opts);
+  return item.answers.some(a => normAnswer(a, item.opts) === got);
+}
+
+async function toggleQaOpt(env, id, opt) {
+  if (!QA_OPTS[opt]) return;
+  const bank = await getJsonCfg("qa_bank", env);
+  const list = Array.isArray(bank) ? bank : [];
+  const item = list.find(i => i?.id?.toString() === id);
+  if (!item) return;
+  item.opts = { ...(item.opts || {}), [opt]: !item.opts?.[opt] };
+  await setCfg("qa_bank", JSON.stringify(list), env);
+}
+
+async function renderQaItem(render, id, env) {
+  const item = (await getQaBank(env)).find(i => i.id.toString() === id);
+  if (!item) return render("❌ 题目不存在", { inline_keyboard: [[{ text: "🔙 返回", callback_data: "config:menu:qa" }]] });
+  const opts = item.opts || {};
+  return render(
+    `📋 <b>题目</b>\n${escapeHTML(item.q)}\n\n✅ <b>答案</b>\n${item.answers.map(a => `• ${escapeHTML(a)}`).join("\n")}`,
+    {
+      inline_keyboard: [
+        Object.entries(QA_OPTS).map(([k, label]) => ({ text: `${opts[k] ? "✅" : "❌"} ${label}`, callback_data: `config:qa_opt:${item.id}:${k}` })),
+        [{ text: "🗑 删除", callback_data: `config:del:qa:${item.id}` }],
+        [{ text: "🔙 返回", callback_data: "config:menu:qa" }]
+      ]
+    }
+  );
+}
+
+// --- 33. 聊天内挑战（captcha_mode=chat） ---
+// 选项直接放在 callback_data（chal:<nonce>:<值>），user_info 只保存 SHA-256(nonce:答案)，旧键盘因 nonce 不符失效
+// 需连续答对 CHALLENGE_STREAK 题（chal_streak），答错清零；随机点击通过率约 (1/9)^2
+const CHALLENGE_EMOJIS = ["🍎", "🍌", "🍇", "🍉", "🍒", "🥕", "🌽", "🐶", "🐱", "🐼", "🦊", "🐸", "⚽", "🏀", "🚗", "✈️", "⭐", "🌙", "🔥", "💧"];
+const CHALLENGE_OPTION_COUNT = 9; // 3×3 键盘
+const CHALLENGE_STREAK = 2;
+const CHALLENGE_SPAN = 16; // 算术干扰项取值区间宽度
+
+const randInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function genChallenge() {
+  if (Math.random() < 0.5) {
+    const emojis = shuffle(CHALLENGE_EMOJIS).slice(0, CHALLENGE_OPTION_COUNT);
+    return { kind: "emoji", vars: { emoji: emojis[0] }, answer: emojis[0], options: shuffle(emojis) };
+  }
+
+  const op = ["+", "-", "×"][randInt(0, 2)];
+  let a = randInt(2, op === "×" ? 9 : 20),
+    b = randInt(2, op === "×" ? 9 : 20);
+  if (op === "-" && b > a) [a, b] = [b, a];
+  const answer = op === "+" ? a + b : op === "-" ? a - b : a * b;
+
+  // 区间相对答案随机偏移，答案不总在选项中间
+  const lo = Math.max(0, answer - randInt(0, CHALLENGE_SPAN));
+  const opts = new Set([answer]);
+  while (opts.size < CHALLENGE_OPTION_COUNT) opts.add(lo + randInt(0, CHALLENGE_SPAN));
+  return { kind: "math", vars: { expr: `${a} ${op} ${b}` }, answer: String(answer), options: shuffle([...opts].map(String)) };
+}
+
+// 生成新挑战并发送；传入 msgId 时原地替换旧挑战消息，streak 为已连续答对的题数
+async function sendChallenge(env, uid, t, msgId, streak = 0) {
+  const c = genChallenge();
+  const nonce = genNonce(8);
+  await updUser(
+    uid,
+    {
+      user_state: "pending_challenge",
+      user_info: { chal_nonce: nonce, chal_hash: await sha256Hex(`${nonce}:${c.answer}`), chal_ts: Date.now(), chal_streak: streak }
+    },
+    env
+  );
+
+  const row = c.options.map(o => ({ text: o, callback_data: `chal:${nonce}:${o}` }));
+  const body = {
+    chat_id: uid,
+    text: await t(c.kind === "math" ? "chal_math" : "chal_emoji", c.vars),
+    parse_mode: "HTML",
+    reply_markup: { inline_keyboard: [row.slice(0, 3), row.slice(3, 6), row.slice(6)] }
+  };
+  if (msgId) return api(env.BOT_TOKEN, "editMessageText", { ...body, message_id: msgId }).catch(() => {});
+  return api(env.BOT_TOKEN, "sendMessage", body);
+}
+
+async function handleChallengeCallback(cb, nonce, choice, env) {
+  const uid = cb.from.id.toString();
+  const answer = text => api(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: cb.id, text, show_alert: !!text }).catch(() => {});
+  if (cb.message?.chat?.id?.toString() !== uid) return answer();
+
+  const u = await getUser(uid, env);
+  const t = await userTr(env, u, cb.from);
+  const info = u.user_info || {};
+
+  if (u.is_blocked) return answer(await t("blocked_start"));
+  if (Number(info.vf_until || 0) > Date.now()) return answer(await verifyFailText(t, { locked: true, until: info.vf_until }));
+  if (u.user_state !== "pending_challenge" || nonce !== info.chal_nonce) {
+    // 已通过或旧键盘：直接移除按钮
+    api(env.BOT_TOKEN, "editMessageReplyMarkup", { chat_id: uid, message_id: cb.message.message_id }).catch(() => {});
+    return answer();
+  }
+
+  if (Date.now() - Number(info.chal_ts || 0) > VERIFY_NONCE_TTL_MS) {
+    await sendChallenge(env, uid, t, cb.message.message_id);
+    return answer(await t("chal_expired"));
+  }
+
+  const ok = timingSafeEqualHex(await sha256Hex(`${nonce}:${choice ?? ""}`), info.chal_hash || "");
+  if (!ok) {
+    const res = await recordVerifyFailure(env, u, cb.from, "chat");
+    if (res.locked || res.blocked) {
+      // 冷却 / 屏蔽：作废当前挑战，冷却结束后 /start 重新出题
+      await updUser(uid, { user_info: { chal_nonce: "", chal_hash: "" } }, env);
+      await api(env.BOT_TOKEN, "editMessageText", {
+        chat_id: uid,
+        message_id: cb.message.message_id,
+        text: await verifyFailText(t, res),
+        parse_mode: "HTML"
+      }).catch(() => {});
+      return answer();
+    }
+    await sendChallenge(env, uid, t, cb.message.message_id);
+    return answer(await verifyFailText(t, res, "chal_wrong"));
+  }
+
+  const streak = Number(info.chal_streak || 0) + 1;
+  if (streak < CHALLENGE_STREAK) {
+    await sendChallenge(env, uid, t, cb.message.message_id, streak);
+    return answer(await t("chal_next"));
+  }
+
+  await updUser(uid, { user_info: { chal_nonce: "", chal_hash: "", chal_ts: 0, chal_streak: 0, vf_fails: 0 } }, env);
+  await bumpStat(env, "verify_pass:chat");
+  answer();
+  api(env.BOT_TOKEN, "deleteMessage", { chat_id: uid, message_id: cb.message.message_id }).catch(() => {});
+
+  if (await getBool("enable_qa_verify", env)) return askQuestion(env, uid, t, "verify_passed_qa");
+  await updUser(uid, { user_state: "verified", user_info: VERIFY_FAIL_RESET }, env);
+  return api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text: await t("verify_passed"), parse_mode: "HTML" });
+}
+
+// --- 34. 验证失败限次 / 冷却 ---
+// user_info: vf_fails 本轮失败次数 / vf_total 累计失败 / vf_lockouts 已冷却轮数 / vf_until 冷却截止
+const VERIFY_FAIL_RESET = { vf_fails: 0, vf_lockouts: 0, vf_until: 0 };
+
+function fmtWait(ms, lang) {
+  const sec = Math.max(1, Math.ceil(ms / 1000));
+  const [h, m, s] = [Math.floor(sec / 3600), Math.floor((sec % 3600) / 60), sec % 60];
+  const u = { zh: ["小时", "分钟", "秒"], ru: ["ч", "мин", "с"] }[lang] || ["h", "min", "s"];
+  const parts = [];
+  if (h) parts.push(`${h} ${u[0]}`);
+  if (m) parts.push(`${m} ${u[1]}`);
+  if (s && !h) parts.push(`${s} ${u[2]}`);
+  return parts.join(" ");
+}
+
+// 记录一次失败：返回 { left } / { locked, until } / { blocked }；mode 为统计用的验证方式
+async function recordVerifyFailure(env, u, from, mode) {
+  if (mode) await bumpStat(env, `verify_fail:${mode}`);
+  const info = u.user_info || {};
+  const max = parseInt(await getCfg("verify_max_attempts", env), 10) || 0;
+  const fails = (info.vf_fails || 0) + 1;
+  const patch = { vf_fails: fails, vf_total: (info.vf_total || 0) + 1 };
+  let res = { left: max ? max - fails : null };
+
+  if (max && fails >= max) {
+    const lockouts = (info.vf_lockouts || 0) + 1;
+    const blockAfter = parseInt(await getCfg("verify_block_after", env), 10) || 0;
+    Object.assign(patch, { vf_fails: 0, vf_lockouts: lockouts });
+
+    if (blockAfter && lockouts >= blockAfter) {
+      Object.assign(u.user_info, patch);
+      await updUser(u.user_id, { user_info: patch }, env);
+      await setUserBlock(env, u.user_id, { blocked: true, reason: "验证失败次数过多", tgUser: from, cause: "verify" });
+      return { blocked: true };
+    }
+
+    const base = (parseInt(await getCfg("verify_cooldown", env), 10) || 60) * 1000;
+    patch.vf_until = Date.now() + Math.min(base * 2 ** (lockouts - 1), VERIFY_COOLDOWN_MAX_MS);
+    res = { locked: true, until: patch.vf_until };
+  }
+
+  Object.assign(u.user_info, patch);
+  await updUser(u.user_id, { user_info: patch }, env);
+  return res;
+}
+
+async function verifyFailText(t, res, wrongKey) {
+  if (res.blocked) return t("verify_blocked");
+  if (res.locked) return t("verify_cooldown", { wait: fmtWait(res.until - Date.now(), t.lang) });
+  const wrong = await t(wrongKey);
+  return res.left ? `${wrong}\n${await t("verify_left", { left: res.left })}` : wrong;
+}
+
+// 冷却中：提示剩余时间（10 秒内只提示一次）并返回 true
+async function notifyVerifyCooldown(env, u, t) {
+  const until = Number(u.user_info?.vf_until || 0);
+  if (until <= Date.now()) return false;
+  const k = `vf_notice:${u.user_id}`;
+  if (!CACHE.locks.has(k)) {
+    CACHE.locks.add(k);
+    setTimeout(() => CACHE.locks.delete(k), 10000);
+    api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: u.user_id,
+      text: await verifyFailText(t, { locked: true, until }),
+      parse_mode: "HTML"
+    }).catch(() => {});
+  }
+  return true;
+}
+
+// --- 35. 验证码 Provider 注册表 ---
+// 新增 Provider：声明密钥环境变量、前端脚本/组件与 siteverify 参数即可；页面组件完成后须调用 S(token)
+const CAPTCHA_PROVIDERS = {
+  turnstile: {
+    label: "Cloudflare",
+    siteKey: "TURNSTILE_SITE_KEY",
+    secretKey: "TURNSTILE_SECRET_KEY",
+    script: () => "https://challenges.cloudflare.com/turnstile/v0/api.js",
+    widget: (key, lang) => `<div class="cf-turnstile" data-sitekey="${key}" data-callback="S" data-language="${lang}"></div>`,
+    verifyUrl: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+    encoding: "json"
+  },
+  recaptcha: {
+    label: "Google",
+    siteKey: "RECAPTCHA_SITE_KEY",
+    secretKey: "RECAPTCHA_SECRET_KEY",
+    script: (key, lang) => `https://www.google.com/recaptcha/api.js?hl=${lang}`,
+    widget: key => `<div class="g-recaptcha" data-sitekey="${key}" data-callback="S"></div>`,
+    verifyUrl: "https://www.google.com/recaptcha/api/siteverify",
+    encoding: "form"
+  },
+  recaptcha_v3: {
+    label: "Google v3",
+    siteKey: "RECAPTCHA_V3_SITE_KEY",
+    secretKey: "RECAPTCHA_V3_SECRET_KEY",
+    script: (key, lang) => `https://www.google.com/recaptcha/api.js?render=${key}&hl=${lang}`,
+    // 无交互：页面加载后直接取 token
+    widget: key =>
+      `<script>window.addEventListener('load',()=>grecaptcha.ready(()=>grecaptcha.execute('${key}',{action:'tg_verify'}).then(S)))</script>`,
+    verifyUrl: "https://www.google.com/recaptcha/api/siteverify",
+    encoding: "form",
+    async accept(d, env) {
+      const min = Number(await getCfg("recaptcha_v3_min_score", env));
+      return d.action === "tg_verify" && Number(d.score) >= (Number.isFinite(min) ? min : 0.5);
+    }
+  },
+  hcaptcha: {
+    label: "hCaptcha",
+    siteKey: "HCAPTCHA_SITE_KEY",
+    secretKey: "HCAPTCHA_SECRET_KEY",
+    script: (key, lang) => `https://js.hcaptcha.com/1/api.js?hl=${lang}`,
+    widget: key => `<div class="h-captcha" data-sitekey="${key}" data-callback="S"></div>`,
+    verifyUrl: "https://api.hcaptcha.com/siteverify",
+    encoding: "form"
+  },
+  // 离线联调用：需显式设置 CAPTCHA_DUMMY=true；配置 dummy_verify_url 时走该地址（与 siteverify 同协议），否则本地判定
+  dummy: {
+    label: "Dummy (测试)",
+    enabled: env => env.CAPTCHA_DUMMY === "true",
+    widget: () => `<p><button onclick="S('dummy-pass')">✅ Pass</button> <button onclick="S('dummy-fail')">❌ Fail</button></p>`,
+    async verify(token, ip, env) {
+      const url = await getCfg("dummy_verify_url", env);
+      if (!url) return { success: token === "dummy-pass" };
+      return siteverify(url, "json", { secret: "dummy", response: token, remoteip: ip });
+    }
+  }
+};
+
+const providerReady = (p, env) => (p.enabled ? p.enabled(env) : !!(env[p.siteKey] && env[p.secretKey]));
+
+async function siteverify(url, encoding, fields) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": encoding === "json" ? "application/json" : "application/x-www-form-urlencoded" },
+    body: encoding === "json" ? JSON.stringify(fields) : new URLSearchParams(fields)
+  });
+  return r.json();
+}
+
+async function verifyCaptchaToken(p, token, ip, env) {
+  if (!token) return false;
+  const fields = { secret: env[p.secretKey], response: token };
+  if (ip) fields.remoteip = ip;
+  const d = p.verify ? await p.verify(token, ip, env) : await siteverify(p.verifyUrl, p.encoding, fields);
+  if (!d?.success) return false;
+  return p.accept ? p.accept(d, env) : true;
+}
+
+// --- 36. 限时屏蔽 ---
+const BAN_PRESETS = [
+  ["1 小时", "1h"],
+  ["1 天", "1d"],
+  ["7 天", "7d"],
+  ["30 天", "30d"]
+];
+
+// src：来源卡片标记，原样带回 ban 回调（见 handleCallback）
+const getBanPickerKB = (uid, src) => {
+  const sfx = src ? `:${src}` : "";
+  return {
+    inline_keyboard: [
+      BAN_PRESETS.map(([text, d]) => ({ text, callback_data: `ban:${uid}:${d}${sfx}` })),
+      [
+        { text: "⛔ 永久", callback_data: `ban:${uid}:perm${sfx}` },
+        { text: "🔙 取消", callback_data: `ban:${uid}:back${sfx}` }
+      ]
+    ]
+  };
+};
+
+// 屏蔽 / 解封统一入口：写库、刷新资料卡按钮、维护黑名单卡片，可选通知用户
+// actor：操作的管理员 ID，自动屏蔽 / 到期解封为 "system"
+// cause 为统计用的屏蔽来源（见 STATS_BLOCK_CAUSES）
+async function setUserBlock(env, uid, { blocked, until = 0, reason = "", notify = false, tgUser, actor = "system", cause = "manual" } = {}) {
+  const u = await getUser(uid, env);
+  // 仅统计“未屏蔽 → 屏蔽”，已屏蔽用户改期不重复计数
+  if (blocked && !u.is_blocked) await bumpStat(env, `block:${cause}`);
+  await audit(
+    env,
+    actor,
+    blocked ? "block" : "unblock",
+    uid,
+    u.is_blocked ? { until: u.blocked_until ? fmtTime(u.blocked_until) : "永久", reason: u.block_reason || undefined } : null,
+    blocked ? { until: until ? fmtTime(until) : "永久", reason: reason || undefined } : null
+  );
+  const patch = { is_blocked: blocked, block_count: 0, blocked_until: blocked ? until : 0, block_reason: blocked ? reason : "" };
+  await updUser(uid, { ...patch }, env);
+  Object.assign(u, patch);
+
+  if (u.user_info.card_msg_id) {
+    api(env.BOT_TOKEN, "editMessageReplyMarkup", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_id: u.user_info.card_msg_id,
+      reply_markup: getBtns(u)
+    }).catch(() => {});
+  }
+
+  const who = tgUser || { id: uid, first_name: u.user_info.name || "User", username: u.user_info.username };
+  // 重复屏蔽（如改期）：先撤下旧卡片
+  if (blocked && u.user_info.blacklist_msg_id) await manageBlacklist(env, u, who, false);
+  await manageBlacklist(env, u, who, blocked);
+
+  if (notify && (!blocked || until)) {
+    const t = await userTr(env, u);
+    let text = blocked ? await t("ban_timed", { until: await t.time(until) }) : await t("ban_expired");
+    if (blocked && reason) text += `\n${await t("ban_reason", { reason })}`;
+    api(env.BOT_TOKEN, "sendMessage", { chat_id: uid, text, parse_mode: "HTML" }).catch(() => {});
+  }
+  return u;
+}
+
+// /ban <id> <时长|perm> [原因] · /unban <id>；在用户话题内可省略 id
+async function handleBanCommand(msg, cmd, args, env) {
+  const parts = args.split(/\s+/).filter(Boolean);
+  let target = "";
+  if (parts[0] && /^\d+$/.test(parts[0])) {
+    // 只认已有记录的用户，避免误输的数字生成空用户；话题内的数字可能是时长等参数，不按 id 处理
+    const known = await sql(env, "SELECT user_id FROM users WHERE user_id = ?", parts[0], "first");
+    if (known) target = parts.shift();
+    else if (!msg.message_thread_id) return replyHere(env, msg, `❌ 未找到用户 ${parts[0]}`);
+  }
+  if (!target && msg.message_thread_id) {
+    target = (await sql(env, "SELECT user_id FROM users WHERE topic_id = ?", msg.message_thread_id.toString(), "first"))?.user_id || "";
+  }
+
+  const usage = "用法：/ban <user_id> <30m|2h|7d|perm> [原因]\n/unban <user_id>\n（在用户话题内可省略 user_id）";
+  if (!target) return replyHere(env, msg, usage);
+  if (await isAuthAdmin(target, env)) return replyHere(env, msg, "❌ 不能屏蔽管理员");
+
+  if (cmd === "unban") {
+    await setUserBlock(env, target, { blocked: false, actor: msg.from.id });
+    return replyHere(env, msg, `✅ 已解封 ${target}`);
+  }
+
+  const dur = (parts.shift() || "").toLowerCase();
+  const ms = ["perm", "permanent", "永久"].includes(dur) ? 0 : parseDuration(dur);
+  if (!ms && !["perm", "permanent", "永久"].includes(dur)) return replyHere(env, msg, usage);
+
+  const until = ms ? Date.now() + ms : 0;
+  const reason = parts.join(" ").slice(0, 200);
+  await setUserBlock(env, target, { blocked: true, until, reason, notify: true, actor: msg.from.id });
+  return replyHere(env, msg, `✅ 已屏蔽 ${target}${until ? ` 至 ${fmtTime(until)}` : "（永久）"}${reason ? `\n原因：${reason}` : ""}`);
+}
+
+// --- 37. 屏蔽词规则（动作 / 权重 / 衰减） ---
+// stop=命中后不再转发，warn=向用户发送警告
+// strike=false 的动作不累计分，也不会因达到阈值而屏蔽
+const KW_ACTIONS = {
+  drop: { label: "静默丢弃", icon: "🔇", stop: true, warn: false, strike: true },
+  warn: { label: "警告 (仍转发)", icon: "⚠️", stop: false, warn: true, strike: true },
+  drop_warn: { label: "丢弃并警告", icon: "🚫", stop: true, warn: true, strike: true },
+  ban: { label: "立即屏蔽", icon: "⛔", stop: true, warn: false, strike: true },
+  flag: { label: "仅通知管理员", icon: "🚩", stop: false, warn: false, strike: false }
+};
+const KW_MAX_WEIGHT = 10;
+
+const normKwRule = (r, i = 0) =>
+  typeof r === "string"
+    ? { id: Date.now() + i, pattern: r, action: "drop_warn", weight: 1 }
+    : {
+        ...r,
+        action: KW_ACTIONS[r.action] ? r.action : "drop_warn",
+        weight: r.weight === undefined ? 1 : Math.min(KW_MAX_WEIGHT, Math.max(0, parseInt(r.weight, 10) || 0))
+      };
+
+// 旧版纯字符串规则在首次读取时升级并回写（补齐 id 以便按钮定位）
+async function getKwRules(env) {
+  const l = await getJsonCfg("block_keywords", env);
+  const raw = (Array.isArray(l) ? l : []).filter(r => r && (typeof r === "string" || r.pattern));
+  const rules = raw.map(normKwRule);
+  if (raw.some(r => typeof r === "string")) await setCfg("block_keywords", JSON.stringify(rules), env);
+  return rules;
+}
+
+function parseKwEntry(txt) {
+  const pattern = (txt || "").trim();
+  if (!pattern || pattern.length > REGEX_MAX_PATTERN_LEN) return null;
+  try {
+    new RegExp(pattern, "gi");
+  } catch {
+    return null;
+  }
+  return { id: Date.now(), pattern, action: "drop_warn", weight: 1 };
+}
+
+async function updateKwRule(env, id, { action, weightDelta = 0 }) {
+  const rules = await getKwRules(env);
+  const r = rules.find(i => i.id.toString() === id);
+  if (!r) return;
+  if (action && KW_ACTIONS[action]) r.action = action;
+  r.weight = Math.min(KW_MAX_WEIGHT, Math.max(0, r.weight + weightDelta));
+  await setCfg("block_keywords", JSON.stringify(rules), env);
+}
+
+// 累计分按整段衰减：每经过 decayH 小时减 1 分，未满一段的时间保留到下次计算
+function decayStrikes(u, decayH, now) {
+  let c = u.block_count || 0,
+    ts = u.user_info?.kw_strike_ts || now;
+  if (c && decayH > 0) {
+    const step = decayH * 3600_000,
+      n = Math.floor((now - ts) / step);
+    if (n > 0) {
+      c = Math.max(0, c - n);
+      ts += n * step;
+    }
+  }
+  return { strikes: c, ts: c ? ts : now };
+}
+
+// 命中首条规则后执行对应动作，返回命中信息供通知管理员；未命中返回 null
+async function applyKwRule(env, u, t, text, tgUser) {
+  const rule = (await getKwRules(env)).find(r => safeRegexTest(r.pattern, text));
+  if (!rule) return null;
+
+  const id = u.user_id,
+    act = KW_ACTIONS[rule.action];
+  const max = parseInt(await getCfg("block_threshold", env), 10) || 5;
+  const decayH = parseInt(await getCfg("kw_decay_hours", env), 10) || 0;
+  const { strikes, ts } = decayStrikes(u, decayH, Date.now());
+  // 仅通知：不计分、不屏蔽，只把当前累计分带给管理员参考
+  if (!act.strike) return { rule, text, count: strikes, max, banned: false, stop: act.stop };
+
+  const count = strikes + rule.weight;
+  const hit = { rule, text, count, max, banned: rule.action === "ban" || (rule.weight > 0 && count >= max) };
+
+  if (hit.banned) {
+    await setUserBlock(env, id, { blocked: true, reason: `违禁词规则: ${rule.pattern}`, tgUser, cause: "kw" });
+    api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("kw_banned", { count, max }), parse_mode: "HTML" }).catch(() => {});
+    return { ...hit, stop: true };
+  }
+
+  await updUser(id, { block_count: count, user_info: { kw_strike_ts: ts } }, env);
+  if (act.warn) api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: await t("kw_warn", { count, max }), parse_mode: "HTML" }).catch(() => {});
+  return { ...hit, stop: act.stop };
+}
+
+// 在用户话题内通知命中的规则（尚无话题时发到管理群主界面）
+async function notifyKwHit(env, uid, hit) {
+  const tid = (await sql(env, "SELECT topic_id FROM users WHERE user_id = ?", uid, "first"))?.topic_id;
+  const act = KW_ACTIONS[hit.rule.action];
+  const lines = [
+    `${act.icon} <b>触发屏蔽词规则</b>${tid ? "" : ` · 用户 <code>${uid}</code>`}`,
+    `规则: <code>${escapeHTML(hit.rule.pattern)}</code>`,
+    `动作: ${act.label} · ${act.strike ? `权重 +${hit.rule.weight}` : "不计分"}`,
+    `累计: ${hit.count}/${hit.max}${hit.banned ? " · ⛔ 已自动屏蔽" : ""}`
+  ];
+  if (hit.stop) lines.push(`内容: ${escapeHTML(hit.text.slice(0, 300))}`);
+  await api(env.BOT_TOKEN, "sendMessage", {
+    chat_id: env.ADMIN_GROUP_ID,
+    ...(tid ? { message_thread_id: tid } : {}),
+    text: lines.join("\n"),
+    parse_mode: "HTML"
+  }).catch(() => {});
+}
+
+async function renderKwList(render, env) {
+  await getKwRules(env);
+  const max = await getCfg("block_threshold", env),
+    decayH = parseInt(await getCfg("kw_decay_hours", env), 10) || 0;
+  const kb = await getListKB("kw", env);
+  kb.inline_keyboard.splice(-2, 0, [
+    { text: `🎯 屏蔽阈值: ${max}`, callback_data: "config:edit:block_threshold" },
+    { text: `⏳ 衰减: ${decayH ? `${decayH}h/分` : "关"}`, callback_data: "config:edit:kw_decay_hours" }
+  ]);
+  return render(
+    `🚫 <b>屏蔽词规则</b>\n按列表顺序匹配首条规则，命中后累计分加上规则权重，达到阈值自动屏蔽（仅通知管理员的规则不计分）\n` +
+      Object.values(KW_ACTIONS)
+        .map(a => `${a.icon} ${a.label}`)
+        .join(" · "),
+    kb
+  );
+}
+
+async function renderKwItem(render, id, env) {
+  const r = (await getKwRules(env)).find(i => i.id.toString() === id);
+  if (!r) return render("❌ 规则不存在", { inline_keyboard: [[{ text: "🔙 返回", callback_data: "config:menu:kw" }]] });
+  const actBtn = k => ({ text: `${r.action === k ? "✔️ " : ""}${KW_ACTIONS[k].icon} ${KW_ACTIONS[k].label}`, callback_data: `config:kw_act:${r.id}:${k}` });
+  const weight = KW_ACTIONS[r.action].strike ? `${r.weight}` : `${r.weight}（仅通知，不计分、不触发自动屏蔽）`;
+  return render(`🚫 <b>屏蔽词规则</b>\n<code>${escapeHTML(r.pattern)}</code>\n\n动作: ${KW_ACTIONS[r.action].label}\n权重: ${weight}`, {
+    inline_keyboard: [
+      [actBtn("drop"), actBtn("warn")],
+      [actBtn("drop_warn"), actBtn("flag")],
+      [actBtn("ban")],
+      [
+        { text: "➖ 权重", callback_data: `config:kw_w:${r.id}:-1` },
+        { text: `${r.weight}`, callback_data: `config:kw:${r.id}` },
+        { text: "➕ 权重", callback_data: `config:kw_w:${r.id}:1` }
+      ],
+      [{ text: "🗑 删除", callback_data: `config:del:kw:${r.id}` }],
+      [{ text: "🔙 返回", callback_data: "config:menu:kw" }]
+    ]
+  });
+}
+
+// --- 38. 内容风控（重复 / 跨用户相同内容 / 新用户链接） ---
+const SPAM_CHECKS = {
+  repeat: { label: "重复消息", icon: "🔁", unit: "次" },
+  cross: { label: "跨用户相同内容", icon: "👥", unit: "个用户" },
+  link: { label: "新用户链接", icon: "🔗", unit: "条" }
+};
+// 顺序即面板切换顺序，也是严重程度（多项同时命中时取最重）
+const SPAM_ACTIONS = { off: "关闭", flag: "仅报告", drop: "拦截", ban: "屏蔽" };
+
+// 可编辑的数值项：{ prompt, min, max }
+const SPAM_SETTINGS = {
+  spam_repeat_max: { prompt: "同一用户发送相同内容的次数阈值", min: 2, max: 100 },
+  spam_repeat_window: { prompt: "重复消息检测窗口秒数", min: 10, max: 86400 },
+  spam_cross_max: { prompt: "发送相同内容的不同用户数阈值", min: 2, max: 100 },
+  spam_cross_window: { prompt: "跨用户相同内容检测窗口秒数", min: 10, max: 86400 },
+  spam_link_max: { prompt: "新用户发送含链接消息的条数阈值", min: 1, max: 100 },
+  spam_link_window: { prompt: "新用户链接检测窗口秒数", min: 10, max: 86400 },
+  spam_new_hours: { prompt: "首次联系后视为新用户的小时数", min: 1, max: 720 }
+};
+
+const normSpamText = s => (s || "").normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+
+const hasLink = msg =>
+  [...(msg.entities || []), ...(msg.caption_entities || [])].some(e => ["url", "text_link"].includes(e.type)) ||
+  /https?:\/\/|t\.me\/|www\./i.test(msg.text || msg.caption || "");
+
+// 固定窗口计数：窗口起点早于 now-winMs 时从 1 重新计数
+async function bumpContentHash(env, hash, uid, now, winMs) {
+  const row = await sql(
+    env,
+    `INSERT INTO content_hashes (hash, user_id, first_ts, ts, count) VALUES (?, ?, ?, ?, 1)
+     ON CONFLICT(hash, user_id) DO UPDATE SET
+       count = CASE WHEN content_hashes.first_ts < ? THEN 1 ELSE content_hashes.count + 1 END,
+       first_ts = CASE WHEN content_hashes.first_ts < ? THEN excluded.first_ts ELSE content_hashes.first_ts END,
+       ts = excluded.ts
+     RETURNING count`,
+    [hash, uid, now, now, now - winMs, now - winMs],
+    "first"
+  );
+  return Number(row?.count || 0);
+}
+
+async function getSpamCfg(env, check) {
+  const action = await getCfg(`spam_${check}_action`, env);
+  return {
+    action: SPAM_ACTIONS[action] ? action : "off",
+    max: parseInt(await getCfg(`spam_${check}_max`, env), 10) || 3,
+    winMs: (parseInt(await getCfg(`spam_${check}_window`, env), 10) || 600) * 1000
+  };
+}
+
+// 返回 { action, hits: [{ check, value, fresh }] }，未命中返回 null；fresh=本窗口首次达到阈值（用于报告去重）
+async function checkSpam(msg, u, env) {
+  if (await isAuthAdmin(u.user_id, env)) return null;
+  const now = Date.now(),
+    uid = u.user_id,
+    hits = [];
+  const cfg = {};
+  for (const k of Object.keys(SPAM_CHECKS)) cfg[k] = await getSpamCfg(env, k);
+
+  const text = normSpamText(msg.text || msg.caption);
+  if (text.length >= SPAM_MIN_TEXT_LEN && (cfg.repeat.action !== "off" || cfg.cross.action !== "off")) {
+    const hash = await sha256Hex(text);
+    // 每用户每内容一行：count 按 repeat 窗口计数，ts（最近发送时间）用于跨用户统计
+    const count = await bumpContentHash(env, hash, uid, now, cfg.repeat.winMs);
+    if (cfg.repeat.action !== "off" && count >= cfg.repeat.max) hits.push({ check: "repeat", value: count, fresh: count === cfg.repeat.max });
+    if (cfg.cross.action !== "off") {
+      const row = await sql(env, "SELECT COUNT(*) AS n FROM content_hashes WHERE hash = ? AND ts >= ?", [hash, now - cfg.cross.winMs], "first");
+      const n = Number(row?.n || 0);
+      if (n >= cfg.cross.max) hits.push({ check: "cross", value: n, fresh: count === 1 });
+    }
+  }
+
+  if (cfg.link.action !== "off" && hasLink(msg)) {
+    const newMs = (parseInt(await getCfg("spam_new_hours", env), 10) || 24) * 3600_000;
+    if (u.first_seen && now - u.first_seen < newMs) {
+      const c = await bumpContentHash(env, "link", uid, now, cfg.link.winMs);
+      if (c >= cfg.link.max) hits.push({ check: "link", value: c, fresh: c === cfg.link.max });
+    }
+  }
+
+  if (!hits.length) return null;
+  const order = Object.keys(SPAM_ACTIONS);
+  const action = hits.map(h => cfg[h.check].action).reduce((a, b) => (order.indexOf(b) > order.indexOf(a) ? b : a));
+  return { action, hits, cfg };
+}
+
+async function getSpamTopic(env) {
+  let tid = await getCfg("spam_topic_id", env);
+  if (!tid) {
+    try {
+      const t = await api(env.BOT_TOKEN, "createForumTopic", { chat_id: env.ADMIN_GROUP_ID, name: "🧹 疑似垃圾" });
+      tid = t.message_thread_id.toString();
+      await setCfg("spam_topic_id", tid, env);
+    } catch {
+      return null;
+    }
+  }
+  return tid;
+}
+
+// 同一检测项每个窗口只报告一次；屏蔽动作始终报告
+async function reportSpam(msg, u, env, spam) {
+  if (spam.action !== "ban" && !spam.hits.some(h => h.fresh)) return;
+  const tid = await getSpamTopic(env);
+  if (!tid) return;
+
+  const meta = getUMeta(msg.from, u, msg.date);
+  const lines = spam.hits.map(h => {
+    const c = SPAM_CHECKS[h.check];
+    return `${c.icon} ${c.label}: ${h.value} ${c.unit} / ${Math.round(spam.cfg[h.check].winMs / 1000)}s`;
+  });
+  const content = msg.text || msg.caption || "[非文本]";
+
+  try {
+    await api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_thread_id: tid,
+      text: `<b>🧹 疑似垃圾</b> · ${SPAM_ACTIONS[spam.action]}\n${lines.join("\n")}\n${meta.card}\n📝 <b>内容:</b> ${escapeHTML(content.slice(0, 300))}`,
+      parse_mode: "HTML",
+      reply_markup: getSpamReportKB(u, env)
+    });
+  } catch (e) {
+    if (e.message && e.message.includes("thread")) await setCfg("spam_topic_id", "", env);
+  }
+}
+
+// 报告卡片按钮随屏蔽状态切换，回调带 spam 标记，避免换成资料卡按钮
+function getSpamReportKB(u, env) {
+  const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
+  const row = [
+    u.is_blocked ? { text: "✅ 已屏蔽 · 解除", callback_data: `unblock:${u.user_id}:spam` } : { text: "🚫 屏蔽", callback_data: `block:${u.user_id}:spam` }
+  ];
+  if (u.topic_id) row.push({ text: "🚀 直达话题", url: `https://t.me/c/${gid}/${u.topic_id}` });
+  return { inline_keyboard: [row] };
+}
+
+async function renderSpamPanel(render, env) {
+  const rows = [];
+  const lines = ["🧹 <b>反垃圾</b>", "命中后按动作处理，并报告到“🧹 疑似垃圾”话题（点击动作按钮切换）", ""];
+  for (const [k, c] of Object.entries(SPAM_CHECKS)) {
+    const cfg = await getSpamCfg(env, k);
+    const win = cfg.winMs / 1000;
+    lines.push(`${c.icon} <b>${c.label}</b>: ${SPAM_ACTIONS[cfg.action]} · ${win}s 内 ≥ ${cfg.max} ${c.unit}`);
+    rows.push([
+      { text: `${c.icon} ${SPAM_ACTIONS[cfg.action]}`, callback_data: `config:spam_act:${k}` },
+      { text: `阈值: ${cfg.max}`, callback_data: `config:edit:spam_${k}_max` },
+      { text: `窗口: ${win}s`, callback_data: `config:edit:spam_${k}_window` }
+    ]);
+  }
+  const newH = await getCfg("spam_new_hours", env);
+  lines.push(`\n新用户: 首次联系 ${newH} 小时内（升级前已有的用户不计）`);
+  rows.push([{ text: `🐣 新用户: ${newH}h`, callback_data: "config:edit:spam_new_hours" }], [{ text: "🔙 返回", callback_data: "config:menu" }]);
+  return render(lines.join("\n"), { inline_keyboard: rows });
+}
+
+// --- 39. 协管角色与权限 ---
+// 能力项：回调与命令统一经 can() 校验，主管理员（ADMIN_IDS）拥有全部能力
+// 导出会话、重置验证不分配给任何角色，仅主管理员可用
+const CAPS = {
+  reply: "回复用户",
+  inbox: "处理未读",
+  note: "编辑备注",
+  pin: "置顶资料卡",
+  block: "屏蔽 / 解封",
+  search: "搜索会话",
+  audit: "审计日志",
+  export: "导出会话",
+  reset: "重置验证",
+  stats: "统计报表",
+  config: "控制面板"
+};
+const ROLES = {
+  reply: { label: "💬 仅回复", caps: ["reply", "inbox"] },
+  moderator: { label: "🛡 协管", caps: ["reply", "inbox", "note", "pin", "block", "search"] },
+  supervisor: { label: "⭐ 主管", caps: ["reply", "inbox", "note", "pin", "block", "search", "audit", "stats"] }
+};
+const DEFAULT_ROLE = "moderator"; // 与旧版协管的权限一致
+
+// chal 为用户侧验证回调，不在此列
+const CALLBACK_CAPS = {
+  inbox: "inbox",
+  note: "note",
+  tags: "note",
+  tag_rm: "note",
+  tag_add: "note",
+  search: "search",
+  audit: "audit",
+  bc: "config",
+  config: "config",
+  block: "block",
+  unblock: "block",
+  ban: "block",
+  pin_card: "pin",
+  ticket: "reply",
+  claim: "reply",
+  stats: "stats"
+};
+const COMMAND_CAPS = {
+  search: "search",
+  ban: "block",
+  unban: "block",
+  audit: "audit",
+  export: "export",
+  close: "reply",
+  reopen: "reply",
+  mine: "reply",
+  stats: "stats"
+};
+
+async function getAdminProfiles(env) {
+  const p = safeParse(await getCfg("admin_profiles", env), {});
+  return p && typeof p === "object" && !Array.isArray(p) ? p : {};
+}
+
+async function getAdminProfile(id, env) {
+  const p = (await getAdminProfiles(env))[id.toString()] || {};
+  return { role: ROLES[p.role] ? p.role : DEFAULT_ROLE, name: p.name || "", duty: !!p.duty };
+}
+
+// patch=null 时删除档案
+async function saveAdminProfile(env, id, patch) {
+  const all = await getAdminProfiles(env);
+  if (patch) all[id] = { ...(all[id] || {}), ...patch };
+  else delete all[id];
+  await setCfg("admin_profiles", JSON.stringify(all), env);
+}
+
+async function can(id, cap, env) {
+  if (!id) return false;
+  if (await isPrimaryAdmin(id, env)) return true;
+  if (!(await isAuthAdmin(id, env))) return false;
+  return ROLES[(await getAdminProfile(id, env)).role].caps.includes(cap);
+}
+
+async function renderAdminList(render, env) {
+  const { primary } = await getAdminSets(env);
+  const list = await getJsonCfg("authorized_admins", env);
+  const profiles = await getAdminProfiles(env);
+  const rows = (Array.isArray(list) ? list : [])
+    .map(String)
+    .filter(aid => !primary.has(aid))
+    .map(aid => {
+      const p = profiles[aid] || {};
+      return [{ text: `${ROLES[p.role]?.label || ROLES[DEFAULT_ROLE].label} · ${p.name || aid}${p.duty ? " · 🟢 值班" : ""}`, callback_data: `config:adm:${aid}` }];
+    });
+  const autoOn = await getBool("auto_assign", env);
+  rows.push(
+    [{ text: `🙋 自动分配: ${autoOn ? "✅ 开启" : "❌ 关闭"}`, callback_data: `config:toggle:auto_assign:${!autoOn}` }],
+    [{ text: "➕ 添加", callback_data: "config:add:auth" }],
+    [{ text: "🔙 返回", callback_data: "config:menu" }]
+  );
+  const roleLines = Object.values(ROLES).map(r => `${r.label}: ${r.caps.map(c => CAPS[c]).join("、")}`);
+  return render(`👮 <b>协管</b>\n主管理员: ${[...primary].map(i => `<code>${i}</code>`).join(", ")}（全部权限）\n\n${roleLines.join("\n")}\n\n🙋 自动分配开启时，新话题在「值班」协管间轮流分配`, {
+    inline_keyboard: rows
+  });
+}
+
+async function renderAdminItem(render, id, env) {
+  const back = [{ text: "🔙 返回", callback_data: "config:menu:auth" }];
+  const list = await getJsonCfg("authorized_admins", env);
+  if (!(Array.isArray(list) ? list : []).map(String).includes(id)) return render("❌ 协管不存在", { inline_keyboard: [back] });
+  const p = await getAdminProfile(id, env);
+  return render(
+    `👮 <b>协管</b> <code>${escapeHTML(id)}</code>\n显示名: ${escapeHTML(p.name) || "未设置"}\n角色: ${ROLES[p.role].label}\n值班: ${p.duty ? "🟢 是（参与自动分配）" : "否"}\n权限: ${ROLES[p.role].caps
+      .map(c => CAPS[c])
+      .join("、")}`,
+    {
+      inline_keyboard: [
+        Object.entries(ROLES).map(([k, r]) => ({ text: `${p.role === k ? "✔️ " : ""}${r.label}`, callback_data: `config:adm_role:${id}:${k}` })),
+        [{ text: p.duty ? "🟢 值班中" : "⚪️ 未值班", callback_data: `config:adm_duty:${id}` }],
+        [{ text: "✏️ 显示名", callback_data: `config:adm_name:${id}` }, { text: "🗑 移除", callback_data: `config:del:auth:${id}` }],
+        back
+      ]
+    }
+  );
+}
+
+async function handleAdminNameInput(id, msg, state, env) {
+  const target = state.key.slice("adm_name:".length);
+  const txt = (msg.text || "").trim();
+  if (!txt) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 请输入文字 (/cancel 取消)" });
+  const name = txt === "/clear" ? "" : txt.slice(0, 32);
+  await audit(env, id, "admin_name", target, (await getAdminProfile(target, env)).name || null, name || null);
+  await saveAdminProfile(env, target, { name });
+  await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
+  return handleAdminConfig(id, null, "adm", target, null, env);
+}
+
+// --- 40. 审计日志（/audit） ---
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_TTL_DAYS = 180;
+const AUDIT_VALUE_MAX = 500; // 前后值截断长度
+
+const AUDIT_ACTIONS = {
+  block: "🚫 屏蔽",
+  unblock: "✅ 解封",
+  reset_verify: "🔄 重置验证",
+  note: "📝 备注",
+  tags: "🏷 标签",
+  ticket: "📋 工单状态",
+  assign: "🙋 分配",
+  admin_duty: "👮 协管值班",
+  pin_card: "📌 置顶资料卡",
+  config: "⚙️ 配置",
+  config_add: "➕ 新增列表项",
+  config_del: "🗑 删除列表项",
+  template: "📄 文案",
+  admin_role: "👮 协管角色",
+  admin_name: "👮 协管显示名",
+  broadcast: "📣 群发"
+};
+
+const auditVal = v => (v === undefined || v === null ? null : (typeof v === "string" ? v : JSON.stringify(v)).slice(0, AUDIT_VALUE_MAX));
+
+// actor 为管理员 ID，自动操作记为 "system"
+async function audit(env, actor, action, target = "", before = null, after = null) {
+  const row = {
+    ts: Date.now(),
+    actor_id: (actor ?? "system").toString(),
+    action,
+    target: (target ?? "").toString(),
+    before_val: auditVal(before),
+    after_val: auditVal(after)
+  };
+  await tryRun(env, "INSERT INTO audit_log (ts, actor_id, action, target, before_val, after_val) VALUES (?, ?, ?, ?, ?, ?)", [
+    row.ts,
+    row.actor_id,
+    row.action,
+    row.target,
+    row.before_val,
+    row.after_val
+  ]);
+  if (await getBool("audit_mirror", env)) await mirrorAudit(env, row);
+}
+
+async function mirrorAudit(env, row) {
+  let tid = await getCfg("audit_topic_id", env);
+  if (!tid) {
+    try {
+      const t = await api(env.BOT_TOKEN, "createForumTopic", { chat_id: env.ADMIN_GROUP_ID, name: "📜 审计日志" });
+      tid = t.message_thread_id.toString();
+      await setCfg("audit_topic_id", tid, env);
+    } catch {
+      return;
+    }
+  }
+  try {
+    await api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_thread_id: tid,
+      text: formatAuditRow(row, await getAdminProfiles(env)),
+      parse_mode: "HTML"
+    });
+  } catch (e) {
+    if (e.message && e.message.includes("thread")) await setCfg("audit_topic_id", "", env);
+  }
+}
+
+function formatAuditRow(r, profiles = {}) {
+  const actor = r.actor_id === "system" ? "🤖 系统" : `👮 ${escapeHTML(profiles[r.actor_id]?.name || r.actor_id)}`;
+  let s = `${AUDIT_ACTIONS[r.action] || escapeHTML(r.action)} · ${actor}`;
+  if (r.target) s += ` → <code>${escapeHTML(r.target)}</code>`;
+  s += `\n🕒 ${escapeHTML(fmtTime(r.ts))}`;
+  if (r.before_val !== null || r.after_val !== null) {
+    const v = x => (x === null ? "∅" : `<code>${escapeHTML(x.length > 120 ? x.slice(0, 120) + "…" : x)}</code>`);
+    s += `\n${v(r.before_val)} ➜ ${v(r.after_val)}`;
+  }
+  return s;
+}
+
+// /audit [用户ID|管理员ID] [天数]：单个参数以 d 结尾或不超过 3 位时视为天数
+function parseAuditArgs(args) {
+  const tokens = (args || "").split(/\s+/).filter(Boolean);
+  let who = "",
+    days = 7;
+  if (tokens.length > 2 || tokens.some(t => !/^\d+d?$/i.test(t))) return null;
+  if (tokens.length === 2) {
+    if (!/^\d+$/.test(tokens[0])) return null;
+    who = tokens[0];
+    days = parseInt(tokens[1], 10);
+  } else if (tokens.length === 1) {
+    if (/d$/i.test(tokens[0]) || tokens[0].length <= 3) days = parseInt(tokens[0], 10);
+    else who = tokens[0];
+  }
+  if (!(days >= 1 && days <= AUDIT_TTL_DAYS)) return null;
+  return { who, days };
+}
+
+async function handleAuditCommand(msg, args, env) {
+  const parsed = parseAuditArgs(args);
+  if (!parsed) {
+    return replyHere(env, msg, `用法：/audit [用户ID|管理员ID] [天数]\n示例：/audit 123456789 30\n默认近 7 天，最多 ${AUDIT_TTL_DAYS} 天`);
+  }
+  const state = { who: parsed.who, since: Date.now() - parsed.days * 86400_000, days: parsed.days };
+  await setUiState(env, `audit:${msg.from.id}`, state);
+  const page = await renderAuditPage(env, state, 0);
+  return replyHere(env, msg, page.text, { parse_mode: "HTML", reply_markup: page.kb });
+}
+
+async function renderAuditPage(env, state, page) {
+  const where = "WHERE ts >= ? AND (? = '' OR actor_id = ? OR target = ?)";
+  const args = [state.since, state.who, state.who, state.who];
+  const cnt = await sql(env, `SELECT COUNT(*) AS c FROM audit_log ${where}`, args, "first");
+  const total = Number(cnt?.c || 0);
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const res = await sql(env, `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...args, AUDIT_PAGE_SIZE, page * AUDIT_PAGE_SIZE], "all");
+  const profiles = await getAdminProfiles(env);
+
+  let text = `📜 <b>审计日志</b> · 近 ${state.days} 天`;
+  if (state.who) text += ` · 🆔 <code>${escapeHTML(state.who)}</code>`;
+  text += `\n共 ${total} 条 · 第 ${Math.min(page + 1, pages)}/${pages} 页`;
+  const rows = res?.results || [];
+  if (!rows.length) text += "\n\n(无记录)";
+  for (const r of rows) text += `\n\n#${r.id} ${formatAuditRow(r, profiles)}`;
+
+  const nav = [];
+  if (page > 0) nav.push({ text: "◀️ 上一页", callback_data: `audit:${page - 1}` });
+  if (page + 1 < pages) nav.push({ text: "下一页 ▶️", callback_data: `audit:${page + 1}` });
+  return { text, kb: { inline_keyboard: nav.length ? [nav] : [] } };
+}
+
+// --- 41. 用户标签（🏷） ---
+const TAGS_MAX = 10; // 每个用户最多标签数
+const TAG_RE = /^[\p{L}\p{N}_]{1,16}$/u;
+
+const normTag = t => (t || "").replace(/^#/, "").normalize("NFKC").toLowerCase();
+const getTags = u => (Array.isArray(u?.user_info?.tags) ? u.user_info.tags : []);
+const fmtTags = tags => tags.map(t => `#${t}`).join(" ");
+
+// 解析 "#a #b -#c"；strict=true（话题内消息）时每个词都必须带 #，否则整条不视为标签操作
+function parseTagOps(text, strict) {
+  const tokens = (text || "").trim().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return null;
+  const ops = { add: [], remove: [] };
+  for (const tok of tokens) {
+    const m = (strict ? /^(-?)#(.+)$/ : /^(-?)#?(.+)$/).exec(tok);
+    if (!m) return null;
+    const tag = normTag(m[2]);
+    if (!TAG_RE.test(tag)) return null;
+    (m[1] ? ops.remove : ops.add).push(tag);
+  }
+  return ops;
+}
+
+async function applyTagOps(env, uid, ops, actor) {
+  const u = await getUser(uid, env);
+  const before = getTags(u);
+  let tags = before.filter(t => !ops.remove.includes(t));
+  for (const t of ops.add) if (!tags.includes(t) && tags.length < TAGS_MAX) tags.push(t);
+  if (tags.join(" ") === before.join(" ")) return tags;
+
+  await updUser(uid, { user_info: { tags } }, env);
+  u.user_info.tags = tags;
+  await audit(env, actor, "tags", uid, fmtTags(before) || null, fmtTags(tags) || null);
+  await refreshUserCard(env, u, true);
+  return tags;
+}
+
+// 备注 / 标签变更后刷新资料卡；rename=true 时同步话题名
+async function refreshUserCard(env, u, rename = false) {
+  if (!u.topic_id) return;
+  const meta = getUMeta({ id: u.user_id, first_name: u.user_info.name, username: u.user_info.username }, u, u.user_info.join_date || Date.now() / 1000);
+  if (u.user_info.card_msg_id) {
+    api(env.BOT_TOKEN, "editMessageText", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_id: u.user_info.card_msg_id,
+      text: meta.card,
+      parse_mode: "HTML",
+      reply_markup: getBtns(u)
+    }).catch(() => {});
+  }
+  if (rename) {
+    api(env.BOT_TOKEN, "editForumTopic", { chat_id: env.ADMIN_GROUP_ID, message_thread_id: u.topic_id, name: meta.topicName }).catch(() => {});
+  }
+}
+
+// 资料卡上的标签管理键盘：点击标签删除（按序号定位，避免 callback_data 超长）
+const getTagKB = (uid, tags) => {
+  const rows = [];
+  for (let i = 0; i < tags.length; i += 3) {
+    rows.push(tags.slice(i, i + 3).map((t, j) => ({ text: `❌ #${t}`, callback_data: `tag_rm:${uid}:${i + j}` })));
+  }
+  rows.push([
+    { text: "➕ 添加", callback_data: `tag_add:${uid}` },
+    { text: "🔙 返回", callback_data: `tags:${uid}:back` }
+  ]);
+  return { inline_keyboard: rows };
+};
+
+// 标签过滤 SQL 片段：col 为 user_info_json 列，要求同时具备全部标签
+function tagFilterSql(col, tags = []) {
+  const list = (tags || []).filter(Boolean);
+  return {
+    sql: list
+      .map(() => ` AND EXISTS (SELECT 1 FROM json_each(CASE WHEN json_valid(${col}) THEN json_extract(${col}, '$.tags') END) WHERE value = ?)`)
+      .join(""),
+    args: list
+  };
+}
+
+// --- 42. 用户目录（👥） ---
+const USER_DIR_PAGE_SIZE = 8;
+const USER_DIR_FILTERS = {
+  all: { label: "全部", icon: "👥", where: "1=1" },
+  verified: { label: "已验证", icon: "✅", where: "user_state='verified' AND is_blocked=0" },
+  pending: { label: "未验证", icon: "⏳", where: "user_state<>'verified' AND is_blocked=0" },
+  blocked: { label: "已屏蔽", icon: "🚫", where: "is_blocked=1" },
+  topic: { label: "有话题", icon: "💬", where: "COALESCE(topic_id, '') <> ''" }
+};
+const USER_DIR_SORTS = {
+  active: { label: "最近活跃", order: "last_seen DESC, rowid DESC" },
+  new: { label: "最新加入", order: "first_seen DESC, rowid DESC" },
+  id: { label: "用户 ID", order: "CAST(user_id AS INTEGER)" }
+};
+const USER_DIR_DAYS = [0, 1, 7, 30]; // 最近活跃筛选（天），0 为不限；last_seen 即最近一次成功转发时间
+
+const userDirIcon = u => (u.is_blocked ? "🚫" : u.user_state === "verified" ? "✅" : "⏳");
+
+// 列表状态按管理员保存在 ui_state（同 /search），翻页 / 切换筛选只需短 callback_data
+async function getUserDirState(env, cid) {
+  const st = (await getUiState(env, `users:${cid}`)) || {};
+  return {
+    filter: USER_DIR_FILTERS[st.filter] ? st.filter : "all",
+    sort: USER_DIR_SORTS[st.sort] ? st.sort : "active",
+    days: USER_DIR_DAYS.includes(st.days) ? st.days : 0,
+    tag: typeof st.tag === "string" ? st.tag : "",
+    page: Math.max(0, parseInt(st.page, 10) || 0)
+  };
+}
+const saveUserDirState = (env, cid, st) => setUiState(env, `users:${cid}`, st);
+
+async function renderUserDir(render, env, cid) {
+  const st = await getUserDirState(env, cid);
+  const counts =
+    (await sql(env, `SELECT ${Object.entries(USER_DIR_FILTERS).map(([k, f]) => `SUM(CASE WHEN ${f.where} THEN 1 ELSE 0 END) AS n_${k}`).join(", ")} FROM users`, [], "first")) || {};
+
+  const tagF = tagFilterSql("user_info_json", st.tag ? [st.tag] : []);
+  const where = `${USER_DIR_FILTERS[st.filter].where}${st.days ? " AND last_seen >= ?" : ""}${tagF.sql}`;
+  const args = [...(st.days ? [Date.now() - st.days * 86400000] : []), ...tagF.args];
+  const total = Number((await sql(env, `SELECT COUNT(*) AS c FROM users WHERE ${where}`, args, "first"))?.c || 0);
+  const pages = Math.max(1, Math.ceil(total / USER_DIR_PAGE_SIZE));
+  const page = Math.min(st.page, pages - 1);
+  const res = await sql(
+    env,
+    `SELECT user_id, user_state, is_blocked, last_seen, user_info_json FROM users WHERE ${where} ORDER BY ${USER_DIR_SORTS[st.sort].order} LIMIT ? OFFSET ?`,
+    [...args, USER_DIR_PAGE_SIZE, page * USER_DIR_PAGE_SIZE],
+    "all"
+  );
+
+  const lines = [
+    "👥 <b>用户目录</b>",
+    Object.entries(USER_DIR_FILTERS)
+      .map(([k, f]) => `${f.icon} ${f.label} ${Number(counts[`n_${k}`] || 0)}`)
+      .join(" · "),
+    "",
+    `筛选: ${USER_DIR_FILTERS[st.filter].label}${st.days ? ` · 近 ${st.days} 天活跃` : ""}${st.tag ? ` · #${escapeHTML(st.tag)}` : ""} · 按${USER_DIR_SORTS[st.sort].label}`,
+    `共 ${total} 人 · 第 ${page + 1}/${pages} 页`
+  ];
+  const userBtns = [];
+  for (const r of res?.results || []) {
+    const info = safeParse(r.user_info_json, {});
+    const name = info.name || "User";
+    const tags = getTags({ user_info: info });
+    lines.push(
+      `\n${userDirIcon(r)} <b>${escapeHTML(name)}</b> <code>${escapeHTML(r.user_id)}</code>${tags.length ? ` ${escapeHTML(fmtTags(tags))}` : ""}` +
+        `\n🕘 ${r.last_seen ? fmtTime(r.last_seen) : "从未转发"}`
+    );
+    userBtns.push({ text: `${userDirIcon(r)} ${name}`.substring(0, 32), callback_data: `config:user:${r.user_id}` });
+  }
+  if (!userBtns.length) lines.push("\n(无匹配用户)");
+
+  const rows = [];
+  for (let i = 0; i < userBtns.length; i += 2) rows.push(userBtns.slice(i, i + 2));
+  const fKeys = Object.keys(USER_DIR_FILTERS);
+  for (let i = 0; i < fKeys.length; i += 3) {
+    rows.push(
+      fKeys.slice(i, i + 3).map(k => ({
+        text: `${k === st.filter ? "✔️ " : ""}${USER_DIR_FILTERS[k].icon} ${USER_DIR_FILTERS[k].label}`,
+        callback_data: `config:users:f:${k}`
+      }))
+    );
+  }
+  rows.push([
+    { text: `↕️ ${USER_DIR_SORTS[st.sort].label}`, callback_data: "config:users:s" },
+    { text: `🕘 活跃: ${st.days ? `${st.days} 天` : "不限"}`, callback_data: "config:users:d" },
+    { text: st.tag ? `🏷 #${st.tag} ✖️` : "🏷 标签", callback_data: "config:users:tag" }
+  ]);
+  const nav = [];
+  if (page > 0) nav.push({ text: "◀️ 上一页", callback_data: `config:users:p:${page - 1}` });
+  if (page + 1 < pages) nav.push({ text: "下一页 ▶️", callback_data: `config:users:p:${page + 1}` });
+  if (nav.length) rows.push(nav);
+  rows.push([{ text: "🔙 返回", callback_data: "config:menu" }]);
+  return render(lines.join("\n"), { inline_keyboard: rows });
+}
+
+async function handleUserDirAction(cid, key, val, render, env) {
+  const st = await getUserDirState(env, cid);
+  if (key === "f" && USER_DIR_FILTERS[val]) Object.assign(st, { filter: val, page: 0 });
+  if (key === "s") {
+    const order = Object.keys(USER_DIR_SORTS);
+    Object.assign(st, { sort: order[(order.indexOf(st.sort) + 1) % order.length], page: 0 });
+  }
+  if (key === "d") Object.assign(st, { days: USER_DIR_DAYS[(USER_DIR_DAYS.indexOf(st.days) + 1) % USER_DIR_DAYS.length], page: 0 });
+  if (key === "p") st.page = Math.max(0, parseInt(val, 10) || 0);
+  if (key === "tag") {
+    // 已有标签筛选时点击即清除，否则进入输入
+    if (st.tag) Object.assign(st, { tag: "", page: 0 });
+    else {
+      await setCfg(`admin_state:${cid}`, JSON.stringify({ action: "input", key: "users_tag" }), env);
+      return render("请输入要筛选的标签，如 <code>#vip</code> (/cancel 取消):", { inline_keyboard: [] });
+    }
+  }
+  await saveUserDirState(env, cid, st);
+  return renderUserDir(render, env, cid);
+}
+
+async function handleUserDirTagInput(id, msg, env) {
+  const tag = normTag((msg.text || "").trim());
+  if (!TAG_RE.test(tag)) return api(env.BOT_TOKEN, "sendMessage", { chat_id: id, text: "❌ 标签仅支持 1-16 位字母、数字、下划线或中文 (/cancel 取消)" });
+  await sql(env, "DELETE FROM config WHERE key=?", `admin_state:${id}`);
+  await saveUserDirState(env, id, { ...(await getUserDirState(env, id)), tag, page: 0 });
+  return handleAdminConfig(id, null, "menu", "users", null, env);
+}
+
+async function renderUserDirItem(render, uid, env, notice = "") {
+  const back = [{ text: "🔙 返回", callback_data: "config:menu:users" }];
+  if (!(await sql(env, "SELECT 1 AS x FROM users WHERE user_id=?", uid, "first"))) return render("❌ 用户不存在", { inline_keyboard: [back] });
+  const u = await getUser(uid, env);
+  const meta = getUMeta({ id: uid, first_name: u.user_info.name || "User", username: u.user_info.username }, u, u.user_info.join_date || Date.now() / 1000);
+
+  let stateText = u.user_state === "verified" ? "✅ 已验证" : `⏳ 未验证 (${escapeHTML(u.user_state)})`;
+  if (u.is_blocked) stateText += ` · 🚫 已屏蔽 (${u.blocked_until ? `至 ${fmtTime(u.blocked_until)}` : "永久"})`;
+  const text =
+    (notice ? `${notice}\n\n` : "") +
+    `${meta.card}\n📌 <b>状态:</b> ${stateText}` +
+    (u.is_blocked && u.block_reason ? `\n📄 <b>原因:</b> ${escapeHTML(u.block_reason)}` : "") +
+    `\n🐣 <b>首次联系:</b> ${u.first_seen ? fmtTime(u.first_seen) : "未知"}` +
+    `\n🕘 <b>最近活跃:</b> ${u.last_seen ? fmtTime(u.last_seen) : "从未转发"}`;
+
+  const rows = [];
+  if (u.topic_id) {
+    const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
+    const links = [{ text: "🚀 直达话题", url: `https://t.me/c/${gid}/${u.topic_id}` }];
+    if (u.user_info.card_msg_id) links.push({ text: "🪪 资料卡", url: `https://t.me/c/${gid}/${u.topic_id}/${u.user_info.card_msg_id}` });
+    rows.push(links);
+  }
+  rows.push([
+    { text: u.is_blocked ? "✅ 解封" : "🚫 屏蔽", callback_data: `config:user_blk:${uid}` },
+    { text: "🔄 重置验证", callback_data: `config:user_rst:${uid}` }
+  ]);
+  rows.push(back);
+  return render(text, { inline_keyboard: rows });
+}
+
+// 面板内屏蔽为永久屏蔽；限时屏蔽请在话题内使用 /ban
+async function handleUserDirItemAction(cid, type, uid, render, env) {
+  const u = await getUser(uid, env);
+  let notice;
+  if (type === "user_rst") {
+    await resetUserVerify(env, uid, cid);
+    notice = "✅ 已重置验证并通知用户";
+  } else if (!u.is_blocked && (await isAuthAdmin(uid, env))) {
+    notice = "❌ 不能屏蔽管理员";
+  } else {
+    await setUserBlock(env, uid, { blocked: !u.is_blocked, actor: cid });
+    notice = u.is_blocked ? "✅ 已解封" : "🚫 已屏蔽";
+  }
+  return renderUserDirItem(render, uid, env, notice);
+}
+
+// --- 43. 会话状态（工单） ---
+// 已解决的会话关闭话题；状态以前缀显示在话题名中（处理中不加前缀，保持原有话题名）
+const TICKET_STATUS = {
+  open: { label: "处理中", icon: "🟢", prefix: "" },
+  waiting: { label: "等待用户", icon: "🟡", prefix: "🟡 " },
+  resolved: { label: "已解决", icon: "✅", prefix: "✅ " }
+};
+
+const ticketOf = u => (TICKET_STATUS[u?.ticket_status] ? u.ticket_status : "open");
+
+const getTicketBtns = (uid, status) =>
+  Object.entries(TICKET_STATUS).map(([k, s]) => ({
+    text: `${k === (TICKET_STATUS[status] ? status : "open") ? "✔️ " : ""}${s.icon} ${s.label}`,
+    callback_data: `ticket:${uid}:${k}`
+  }));
+
+// 返回是否发生变更；actor="system" 为用户来信自动重开
+async function setTicketStatus(env, u, status, actor) {
+  const before = ticketOf(u);
+  if (!TICKET_STATUS[status] || status === before) return false;
+  // 标记已解决即结束等待（不计入响应时长），避免重开后立即触发超时提醒
+  const patch = status === "resolved" ? { ticket_status: status, wait_since: 0, sla_level: 0 } : { ticket_status: status };
+  await updUser(u.user_id, patch, env);
+  Object.assign(u, patch);
+  await audit(env, actor, "ticket", u.user_id, TICKET_STATUS[before].label, TICKET_STATUS[status].label);
+  if (u.topic_id && before === "resolved") {
+    await api(env.BOT_TOKEN, "reopenForumTopic", { chat_id: env.ADMIN_GROUP_ID, message_thread_id: u.topic_id }).catch(() => {});
+  }
+  await refreshUserCard(env, u, true);
+  if (u.topic_id && status === "resolved") {
+    api(env.BOT_TOKEN, "closeForumTopic", { chat_id: env.ADMIN_GROUP_ID, message_thread_id: u.topic_id }).catch(() => {});
+  }
+  return true;
+}
+
+async function handleTicketCommand(msg, cmd, args, env) {
+  let target = /^\d+$/.test(args) ? args : "";
+  if (!target && msg.message_thread_id) {
+    target = (await sql(env, "SELECT user_id FROM users WHERE topic_id = ?", msg.message_thread_id.toString(), "first"))?.user_id || "";
+  }
+  if (!target) return replyHere(env, msg, "用法：/close <user_id>\n/reopen <user_id>\n（在用户话题内可省略 user_id）");
+
+  const status = cmd === "close" ? "resolved" : "open";
+  const u = await getUser(target, env);
+  if (!(await setTicketStatus(env, u, status, msg.from.id))) return replyHere(env, msg, `ℹ️ 会话已是「${TICKET_STATUS[ticketOf(u)].label}」`);
+  return replyHere(env, msg, `${TICKET_STATUS[status].icon} 已标记为「${TICKET_STATUS[status].label}」`);
+}
+
+// --- 44. 会话分配（🙋 认领 / 轮流分配） ---
+const MINE_LIMIT = 30;
+
+const getClaimBtn = u => ({
+  text: u.assignee ? `🙋 ${u.user_info?.assignee_name || u.assignee}`.substring(0, 24) : "🙋 认领",
+  callback_data: `claim:${u.user_id}`
+});
+
+const getInboxKB = (env, u, tid) => {
+  const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
+  return {
+    inline_keyboard: [
+      [{ text: "🚀 直达回复", url: `https://t.me/c/${gid}/${tid}` }, getClaimBtn(u), { text: "✅ 已阅", callback_data: `inbox:del:${u.user_id}` }]
+    ]
+  };
+};
+
+// assignee="" 为取消分配；显示名快照存入 user_info.assignee_name，资料卡无需再查协管档案
+async function assignUser(env, u, assignee, actor, fallbackName) {
+  const before = u.assignee || "";
+  if (before === assignee) return false;
+  const name = assignee ? (await getAdminProfile(assignee, env)).name || fallbackName || assignee : "";
+  await audit(env, actor, "assign", u.user_id, before ? u.user_info.assignee_name || before : null, assignee ? name : null);
+  await updUser(u.user_id, { assignee, user_info: { assignee_name: name } }, env);
+  u.assignee = assignee;
+  u.user_info.assignee_name = name;
+
+  await refreshUserCard(env, u);
+  if (u.user_info.inbox_msg_id && u.topic_id) {
+    api(env.BOT_TOKEN, "editMessageReplyMarkup", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_id: u.user_info.inbox_msg_id,
+      reply_markup: getInboxKB(env, u, u.topic_id)
+    }).catch(() => {});
+  }
+  return true;
+}
+
+// 值班协管（主管理员不参与轮流），按 ID 排序保证轮询顺序稳定
+async function getDutyPool(env) {
+  const { primary } = await getAdminSets(env);
+  const list = await getJsonCfg("authorized_admins", env);
+  const profiles = await getAdminProfiles(env);
+  return [...new Set((Array.isArray(list) ? list : []).map(String))]
+    .filter(id => !primary.has(id) && profiles[id]?.duty)
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+// 新话题创建时调用：上次分配到的协管之后的下一位（不在池中则从头开始）
+async function autoAssign(env, u) {
+  if (u.assignee || !(await getBool("auto_assign", env))) return;
+  const pool = await getDutyPool(env);
+  if (!pool.length) return;
+  const next = pool[(pool.indexOf(await getCfg("assign_rr_last", env)) + 1) % pool.length];
+  await setCfg("assign_rr_last", next, env);
+  await assignUser(env, u, next, "system");
+}
+
+async function handleMineCommand(msg, env) {
+  const res = await sql(
+    env,
+    "SELECT user_id, topic_id, ticket_status, last_seen, user_info_json FROM users WHERE assignee = ? AND ticket_status <> 'resolved' ORDER BY last_seen DESC LIMIT ?",
+    [msg.from.id.toString(), MINE_LIMIT],
+    "all"
+  );
+  const rows = res?.results || [];
+  if (!rows.length) return replyHere(env, msg, "🙋 暂无由你负责的未解决会话");
+
+  const gid = env.ADMIN_GROUP_ID.toString().replace(/^-100/, "");
+  let text = `🙋 <b>我负责的会话</b> (${rows.length}${rows.length >= MINE_LIMIT ? "+" : ""})`;
+  const links = [];
+  rows.forEach((r, i) => {
+    const name = safeParse(r.user_info_json || "{}", {}).name || r.user_id;
+    const st = TICKET_STATUS[r.ticket_status] || TICKET_STATUS.open;
+    text += `\n${i + 1}. ${st.icon} <b>${escapeHTML(name)}</b> <code>${escapeHTML(r.user_id)}</code> · ${r.last_seen ? escapeHTML(fmtTime(r.last_seen)) : "无消息"}`;
+    if (r.topic_id) links.push({ text: `${i + 1}. ${name}`.substring(0, 32), url: `https://t.me/c/${gid}/${r.topic_id}` });
+  });
+  const kb = [];
+  for (let i = 0; i < links.length; i += 2) kb.push(links.slice(i, i + 2));
+  return replyHere(env, msg, text, { parse_mode: "HTML", reply_markup: { inline_keyboard: kb } });
+}
+
+// --- 45. 快捷回复（/r） ---
+const CANNED_VARS = ["name", "id", "username", "admin"];
+const CANNED_KEY_RE = /^[\p{L}\p{N}_-]{1,32}$/u;
+const CANNED_MEDIA = {
+  photo: { method: "sendPhoto", icon: "🖼", label: "图片" },
+  video: { method: "sendVideo", icon: "🎬", label: "视频" },
+  animation: { method: "sendAnimation", icon: "🎞", label: "GIF" },
+  document: { method: "sendDocument", icon: "📎", label: "文件" },
+  audio: { method: "sendAudio", icon: "🎵", label: "音频" }
+};
+
+async function getCannedReplies(env) {
+  const l = await getJsonCfg("canned_replies", env);
+  return (Array.isArray(l) ? l : []).filter(i => i && i.key);
+}
+
+// animation 消息同时带 document 字段，需先判断
+function getCannedMedia(msg) {
+  if (msg.photo) return { type: "photo", file_id: msg.photo[msg.photo.length - 1].file_id };
+  const type = ["video", "animation", "document", "audio"].find(t => msg[t]);
+  return type ? { type, file_id: msg[type].file_id } : null;
+}
+
+// 返回 { item } 或 { error }
+function parseCannedEntry(msg) {
+  const media = getCannedMedia(msg);
+  const m = /^\s*(\S+)\s*([\s\S]*)$/.exec((media ? msg.caption : msg.text) || "");
+  if (!m) return { error: "请以快捷词开头，例如：退款 您好 {name}，退款将在 3 个工作日内原路退回" };
+  const key = m[1].toLowerCase(),
+    text = m[2].trim();
+  if (!CANNED_KEY_RE.test(key)) return { error: "快捷词仅支持 1-32 位字母、数字、下划线、减号或中文" };
+  if (!text && !media) return { error: "缺少回复内容" };
+  if (text.length > (media ? 1024 : 4096)) return { error: `内容过长（${media ? "说明最多 1024" : "最多 4096"} 字）` };
+  const unknown = (text.match(/\{(\w+)\}/g) || []).find(v => !CANNED_VARS.includes(v.slice(1, -1)));
+  if (unknown) return { error: `未知占位符 ${unknown}，可用: ${CANNED_VARS.map(v => `{${v}}`).join(" ")}` };
+  const err = validateTgHtml(text);
+  if (err) return { error: err };
+  return { item: { id: Date.now(), key, text, ...(media ? { media } : {}) } };
+}
+
+const fillCanned = (text, vars) => text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : escapeHTML(String(vars[k]))));
+
+async function renderCannedList(render, env) {
+  return render(
+    `💬 <b>快捷回复</b>\n在用户话题内发送 <code>/r 快捷词</code> 即把对应内容发送给用户\n占位符: ${CANNED_VARS.map(v => `{${v}}`).join(" ")}（{admin} 为发送者的显示名）`,
+    await getListKB("cr", env)
+  );
+}
+
+async function renderCannedItem(render, id, env) {
+  const back = [{ text: "🔙 返回", callback_data: "config:menu:cr" }];
+  const item = (await getCannedReplies(env)).find(i => i.id.toString() === id);
+  if (!item) return render("❌ 快捷回复不存在", { inline_keyboard: [back] });
+  const kind = item.media ? `${CANNED_MEDIA[item.media.type]?.icon || ""} ${CANNED_MEDIA[item.media.type]?.label || item.media.type}` : "📝 文字";
+  return render(`💬 <b>快捷回复</b> <code>/r ${escapeHTML(item.key)}</code>\n类型: ${kind}\n\n${escapeHTML(item.text) || "(无说明)"}`, {
+    inline_keyboard: [[{ text: "🗑 删除", callback_data: `config:del:cr:${item.id}` }], back]
+  });
+}
+
+// 发送给用户，并在话题内回显同样内容；msg_map 指向回显消息，便于 /recall
+async function handleCannedReply(msg, uid, key, replyParams, env) {
+  const list = await getCannedReplies(env);
+  const keys = list.map(i => i.key).join(" ");
+  if (!key) return replyHere(env, msg, list.length ? `💬 快捷回复: ${keys}` : "💬 暂无快捷回复，请在面板「💬 快捷回复」中添加");
+  const item = list.find(i => i.key === key.toLowerCase());
+  if (!item) return replyHere(env, msg, `❌ 未找到快捷回复「${key}」${list.length ? `\n可用: ${keys}` : ""}`);
+
+  const u = await getUser(uid, env);
+  const body = fillCanned(item.text, {
+    name: u.user_info.name || "User",
+    id: uid,
+    username: u.user_info.username ? `@${u.user_info.username}` : "",
+    admin: (await getAdminProfile(msg.from.id, env)).name || msg.from.first_name || ""
+  });
+  const send = (chatId, extra) =>
+    item.media
+      ? api(env.BOT_TOKEN, CANNED_MEDIA[item.media.type].method, {
+          chat_id: chatId,
+          [item.media.type]: item.media.file_id,
+          caption: body || undefined,
+          parse_mode: "HTML",
+          ...extra
+        })
+      : api(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: body, parse_mode: "HTML", ...extra });
+
+  let sent;
+  try {
+    sent = await send(uid, replyParams);
+  } catch {
+    return replyHere(env, msg, "❌ 发送失败 (用户可能已停止Bot)");
+  }
+  const echo = await send(msg.chat.id, { message_thread_id: msg.message_thread_id, reply_parameters: { message_id: msg.message_id, allow_sending_without_reply: true } }).catch(() => null);
+  if (sent?.message_id) {
+    if (echo?.message_id) await saveMsgMap(env, uid, sent.message_id, echo.message_id, "out");
+    await storeMessage(env, uid, sent.message_id, htmlToText(body), msg.date, "out", msg.from.id);
+    await bumpStat(env, "msg_out");
+    await markAnswered(env, uid, msg.from.id);
+  }
+}
+
+// --- 46. 待回复提醒（SLA） ---
+const SLA_TTL_DAYS = 180;
+const SLA_BATCH = 20; // 每次 Cron 最多提醒的会话数
+const SLA_LEVELS = { 1: "⏰ 待回复提醒", 2: "🚨 超时未回复（升级）" };
+
+// 管理员回复后结束等待并记录响应时长；条件更新保证并发回复只记一次
+async function markAnswered(env, uid, adminId) {
+  const since = Number((await sql(env, "SELECT wait_since FROM users WHERE user_id=?", uid.toString(), "first"))?.wait_since || 0);
+  if (!since) return;
+  const now = Date.now();
+  const res = await tryRun(env, "UPDATE users SET wait_since=0, sla_level=0 WHERE user_id=? AND wait_since=?", [uid.toString(), since]);
+  if ((res?.meta?.changes ?? res?.changes ?? 0) !== 1) return;
+  await tryRun(env, "INSERT INTO sla_responses (user_id, admin_id, wait_since, replied_at, response_ms) VALUES (?,?,?,?,?)", [
+    uid.toString(),
+    adminId.toString(),
+    since,
+    now,
+    now - since
+  ]);
+  await bumpStat(env, `frt:${frtBucket(now - since)}`);
+}
+
+// 一级：负责人（未分配时为全部协管）；升级：负责人 + 全部协管 + 主管理员
+async function getSlaMentions(env, u, level) {
+  const ids = new Set(u.assignee ? [u.assignee] : []);
+  if (!u.assignee || level >= 2) {
+    const list = await getJsonCfg("authorized_admins", env);
+    (Array.isArray(list) ? list : []).forEach(i => ids.add(i.toString()));
+  }
+  if (level >= 2 || !ids.size) (await getAdminSets(env)).primary.forEach(i => ids.add(i));
+  const profiles = await getAdminProfiles(env);
+  return [...ids].map(id => `<a href="tg://user?id=${id}">${escapeHTML(profiles[id]?.name || id)}</a>`).join(" ");
+}
+
+async function runSlaReminders(env, now) {
+  const remind = (parseInt(await getCfg("sla_remind_minutes", env), 10) || 0) * 60_000;
+  const esc = (parseInt(await getCfg("sla_escalate_minutes", env), 10) || 0) * 60_000;
+  if (!remind && !esc) return;
+
+  const conds = [],
+    args = [];
+  if (remind) {
+    conds.push("(sla_level < 1 AND wait_since <= ?)");
+    args.push(now - remind);
+  }
+  if (esc) {
+    conds.push("(sla_level < 2 AND wait_since <= ?)");
+    args.push(now - esc);
+  }
+  const res = await sql(
+    env,
+    `SELECT user_id FROM users
+     WHERE wait_since > 0 AND is_blocked = 0 AND ticket_status <> 'resolved' AND COALESCE(topic_id, '') <> '' AND (${conds.join(" OR ")})
+     ORDER BY wait_since LIMIT ?`,
+    [...args, SLA_BATCH],
+    "all"
+  );
+  const rows = res?.results || [];
+  if (!rows.length) return;
+  const tid = await getInboxTopic(env);
+  if (!tid) return;
+
+  for (const r of rows) {
+    const u = await getUser(r.user_id, env);
+    const since = Number(u.wait_since || 0);
+    const level = esc && since <= now - esc ? 2 : 1;
+    // 先推进等级：发送失败也不会每分钟重复提醒
+    await updUser(u.user_id, { sla_level: level }, env);
+    const meta = getUMeta({ id: u.user_id, first_name: u.user_info.name || "User", username: u.user_info.username }, u, u.user_info.join_date || now / 1000);
+    await api(env.BOT_TOKEN, "sendMessage", {
+      chat_id: env.ADMIN_GROUP_ID,
+      message_thread_id: tid,
+      text: `<b>${SLA_LEVELS[level]}</b>\n⏳ <b>已等待:</b> ${fmtWait(now - since, "zh")}\n${meta.card}\n👉 ${await getSlaMentions(env, u, level)}`,
+      parse_mode: "HTML",
+      reply_markup: getInboxKB(env, u, u.topic_id)
+    }).catch(() => {});
+  }
+}
+
+// --- 47. 统计报表（/stats） ---
+// stats_daily 按 (日期, 指标) 累加计数，查询只扫描所选天数的聚合行；日期按 timezone 配置划分
+const STATS_TTL_DAYS = 365;
+const STATS_PERIODS = [1, 7, 30]; // 面板 / 命令结果中的快捷时段
+const STATS_BLOCK_CAUSES = { manual: "手动", kw: "屏蔽词", spam: "反垃圾", verify: "验证失败" };
+const STATS_FRT_BUCKETS = [1, 5, 15, 30, 60, 120, 240, 480, 1440]; // 响应时长分桶上界（分钟）
+
+async function statsDay(env, ms) {
+  return zonedParts(ms, await getTimeZone(env)).date;
+}
+
+// 用户首次私聊时计入新用户：管理员命令（/ban、/export 等）预先建出的行不算；
+// 旧版本已进入验证流程的用户没有 contacted 标记，按 user_state 排除
+async function markFirstContact(env, u) {
+  if (u.user_info.contacted) return;
+  const patch = { contacted: Date.now() };
+  Object.assign(u.user_info, patch);
+  await updUser(u.user_id, { user_info: patch }, env);
+  if (u.user_state === "new") await bumpStat(env, "new_users");
+}
+
+async function bumpStat(env, metric, n = 1) {
+  await tryRun(
+    env,
+    `INSERT INTO stats_daily (day, metric, count) VALUES (?, ?, ?)
+     ON CONFLICT(day, metric) DO UPDATE SET count = count + excluded.count`,
+    [await statsDay(env, Date.now()), metric, n]
+  );
+}
+
+const frtBucket = ms => {
+  const i = STATS_FRT_BUCKETS.findIndex(m => ms < m * 60_000);
+  return i < 0 ? STATS_FRT_BUCKETS.length : i;
+};
+
+const fmtMinutes = m => (m % 1440 === 0 ? `${m / 1440} 天` : m % 60 === 0 ? `${m / 60} 小时` : `${m} 分钟`);
+
+function frtBucketLabel(i) {
+  const B = STATS_FRT_BUCKETS;
+  if (i >= B.length) return `≥ ${fmtMinutes(B[B.length - 1])}`;
+  return i ? `${fmtMinutes(B[i - 1])} ~ ${fmtMinutes(B[i])}` : `< ${fmtMinutes(B[0])}`;
+}
+
+const statsVerifyLabel = mode => (mode === "chat" ? "聊天内挑战" : mode === "qa" ? "问题验证" : CAPTCHA_PROVIDERS[mode]?.label || mode);
+
+// "" → 默认 7 天；today / 今天 / 1d / 30 → 天数；非法返回 null
+function parseStatsPeriod(s) {
+  const v = (s || "").trim().toLowerCase();
+  if (!v) return STATS_PERIODS[1];
+  if (v === "today" || v === "今天") return 1;
+  const m = /^(\d+)d?$/.exec(v);
+  const days = m ? parseInt(m[1], 10) : 0;
+  return days >= 1 && days <= STATS_TTL_DAYS ? days : null;
+}
+
+async function loadStats(env, days) {
+  const now = Date.now();
+  const [since, today] = [await statsDay(env, now - (days - 1) * 86400_000), await statsDay(env, now)];
+  const res = await sql(env, "SELECT metric, SUM(count) AS n FROM stats_daily WHERE day >= ? GROUP BY metric", since, "all");
+  const m = {};
+  for (const r of res?.results || []) m[r.metric] = Number(r.n || 0);
+  return { since, today, m };
+}
+
+// prefix: "stats"（命令结果消息）或 "config:stats"（面板页）
+async function renderStats(render, env, days, prefix) {
+  const { since, today, m } = await loadStats(env, days);
+  const get = k => m[k] || 0;
+
+  let text = `📊 <b>统计</b> · ${days === 1 ? "今天" : `近 ${days} 天`}\n<i>${since === today ? today : `${since} ~ ${today}`}</i>`;
+  text += `\n\n👤 新用户: ${get("new_users")}`;
+  text += `\n📨 消息: 收到 ${get("msg_in")} · 回复 ${get("msg_out")}`;
+  text += `\n🌙 休息时段来信: ${get("busy_hits")}`;
+
+  // 验证：按验证码方式 → 聊天内挑战 → 问题验证排列，只显示有记录的方式
+  const modes = [...Object.keys(CAPTCHA_PROVIDERS), "chat", "qa"];
+  for (const k of Object.keys(m)) {
+    const mode = k.replace(/^verify_(pass|fail):/, "");
+    if (mode !== k && !modes.includes(mode)) modes.push(mode);
+  }
+  const vLines = modes
+    .map(mode => [mode, get(`verify_pass:${mode}`), get(`verify_fail:${mode}`)])
+    .filter(([, p, f]) => p + f)
+    .map(([mode, p, f]) => `• ${escapeHTML(statsVerifyLabel(mode))}: ✅ ${p} / ❌ ${f} · 通过率 ${Math.round((p / (p + f)) * 100)}%`);
+  text += `\n\n🛡 <b>验证</b>\n${vLines.join("\n") || "(无记录)"}`;
+
+  const causes = Object.keys(STATS_BLOCK_CAUSES);
+  for (const k of Object.keys(m)) if (k.startsWith("block:") && !causes.includes(k.slice(6))) causes.push(k.slice(6));
+  const blocks = causes.map(c => [c, get(`block:${c}`)]).filter(([, n]) => n);
+  text += `\n\n🚫 <b>屏蔽</b>: ${blocks.reduce((s, [, n]) => s + n, 0)}`;
+  if (blocks.length) text += `\n${blocks.map(([c, n]) => `${escapeHTML(STATS_BLOCK_CAUSES[c] || c)} ${n}`).join(" · ")}`;
+
+  // 首次响应中位数：取累计计数过半的分桶
+  const frt = STATS_FRT_BUCKETS.map((_, i) => get(`frt:${i}`)).concat(get(`frt:${STATS_FRT_BUCKETS.length}`));
+  const total = frt.reduce((s, n) => s + n, 0);
+  text += `\n\n⏱ <b>首次响应</b>: ${total} 次`;
+  if (total) {
+    let acc = 0;
+    const mid = frt.findIndex(n => (acc += n) >= total / 2);
+    text += ` · 中位数 ${frtBucketLabel(mid)}`;
+  }
+
+  const kb = [STATS_PERIODS.map(d => ({ text: `${d === days ? "✅ " : ""}${d === 1 ? "今天" : `${d} 天`}`, callback_data: `${prefix}:${d}` }))];
+  if (prefix === "config:stats") kb.push([{ text: "🔙 返回", callback_data: "config:menu" }]);
+  return render(text, { inline_keyboard: kb });
+}
+
+async function handleStatsCommand(msg, args, env) {
+  const days = parseStatsPeriod(args);
+  if (!days) return replyHere(env, msg, `用法：/stats [today|7d|30d]\n默认近 7 天，最多 ${STATS_TTL_DAYS} 天`);
+  return renderStats((text, kb) => replyHere(env, msg, text, { parse_mode: "HTML", reply_markup: kb }), env, days, "stats");
+}